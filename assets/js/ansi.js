@@ -0,0 +1,179 @@
+// ANSI Escape Codes
+// Commands color their output with SGR codes (ESC [ n;n m), as in a real terminal.
+// parse() splits text into styled segments for terminal.js to render, style() wraps
+// text in codes and strip() removes them. Other escape sequences are dropped.
+// Runs in the browser and under Node, like markdown.js.
+(function() {
+    'use strict';
+
+    const ESC = '\x1b';
+
+    // The eight colors of 30-37 (foreground) and 40-47 (background); 90-97 and
+    // 100-107 are their bright variants, named 'bright-red' and so on
+    const COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+    // CSI sequences (ESC [ parameters intermediates final) and two-character escapes
+    const ESCAPE_PATTERN = /\x1b\[([0-?]*)[ -/]*([@-~])|\x1b[0-~]?/g;
+
+    // Codes of the names style() accepts
+    const CODES = {
+        reset: 0,
+        bold: 1,
+        dim: 2,
+        italic: 3,
+        underline: 4,
+        inverse: 7,
+        strike: 9
+    };
+
+    COLORS.forEach((color, i) => {
+        CODES[color] = 30 + i;
+        CODES[`bg-${color}`] = 40 + i;
+        CODES[`bright-${color}`] = 90 + i;
+        CODES[`bg-bright-${color}`] = 100 + i;
+    });
+
+    // Wrap text in the codes of the named styles, e.g. style('LIVE', 'bold', 'green')
+    function style(text, ...names) {
+        const codes = names.map(name => {
+            if (!Object.prototype.hasOwnProperty.call(CODES, name)) {
+                throw new TypeError(`Ansi.style: unknown style '${name}'`);
+            }
+            return CODES[name];
+        });
+        return codes.length ? `${ESC}[${codes.join(';')}m${text}${ESC}[0m` : String(text);
+    }
+
+    function strip(text) {
+        return String(text).replace(ESCAPE_PATTERN, '');
+    }
+
+    // Parse text into [{ text, style }] segments. A style has the attributes that are
+    // on (bold, dim, italic, underline, inverse, strike) and fg and bg colors: a name
+    // from COLORS, optionally 'bright-', or '#rrggbb' for 256-color and truecolor codes.
+    function parse(text) {
+        const segments = [];
+        let current = {};
+        let last = 0;
+
+        function push(part) {
+            if (!part) return;
+            const previous = segments[segments.length - 1];
+            if (previous && previous.style === current) {
+                previous.text += part;
+            } else {
+                segments.push({ text: part, style: current });
+            }
+        }
+
+        text = String(text);
+        text.replace(ESCAPE_PATTERN, (match, params, final, offset) => {
+            push(text.substring(last, offset));
+            last = offset + match.length;
+            if (final === 'm') {
+                current = applyCodes(current, params);
+            }
+            return match;
+        });
+        push(text.substring(last));
+
+        return segments;
+    }
+
+    // A new style with the SGR parameters ('1;31', '' for reset) applied
+    function applyCodes(style, params) {
+        const codes = params.split(';').map(code => (code === '' ? 0 : Number(code)));
+        let next = Object.assign({}, style);
+
+        for (let i = 0; i < codes.length; i++) {
+            const code = codes[i];
+            if (code === 0) {
+                next = {};
+            } else if (code === 1) {
+                next.bold = true;
+            } else if (code === 2) {
+                next.dim = true;
+            } else if (code === 3) {
+                next.italic = true;
+            } else if (code === 4) {
+                next.underline = true;
+            } else if (code === 7) {
+                next.inverse = true;
+            } else if (code === 9) {
+                next.strike = true;
+            } else if (code === 22) {
+                delete next.bold;
+                delete next.dim;
+            } else if (code === 23) {
+                delete next.italic;
+            } else if (code === 24) {
+                delete next.underline;
+            } else if (code === 27) {
+                delete next.inverse;
+            } else if (code === 29) {
+                delete next.strike;
+            } else if (code >= 30 && code <= 37) {
+                next.fg = COLORS[code - 30];
+            } else if (code >= 90 && code <= 97) {
+                next.fg = `bright-${COLORS[code - 90]}`;
+            } else if (code >= 40 && code <= 47) {
+                next.bg = COLORS[code - 40];
+            } else if (code >= 100 && code <= 107) {
+                next.bg = `bright-${COLORS[code - 100]}`;
+            } else if (code === 39) {
+                delete next.fg;
+            } else if (code === 49) {
+                delete next.bg;
+            } else if (code === 38 || code === 48) {
+                // 38;5;n picks from the 256-color palette, 38;2;r;g;b is truecolor
+                const key = code === 38 ? 'fg' : 'bg';
+                if (codes[i + 1] === 5) {
+                    const color = paletteColor(codes[i + 2]);
+                    if (color) next[key] = color;
+                    i += 2;
+                } else if (codes[i + 1] === 2) {
+                    const rgb = codes.slice(i + 2, i + 5);
+                    if (rgb.length === 3 && rgb.every(value => Number.isInteger(value) && value >= 0 && value <= 255)) {
+                        next[key] = hexColor(rgb);
+                    }
+                    i += 4;
+                }
+            }
+        }
+
+        return next;
+    }
+
+    // Colors 0-15 are the named ones, then a 6x6x6 cube and a ramp of 24 grays
+    function paletteColor(n) {
+        if (!Number.isInteger(n) || n < 0 || n > 255) return null;
+        if (n < 8) return COLORS[n];
+        if (n < 16) return `bright-${COLORS[n - 8]}`;
+        if (n >= 232) {
+            const gray = 8 + (n - 232) * 10;
+            return hexColor([gray, gray, gray]);
+        }
+        const levels = [0, 95, 135, 175, 215, 255];
+        const index = n - 16;
+        return hexColor([levels[Math.floor(index / 36)], levels[Math.floor(index / 6) % 6], levels[index % 6]]);
+    }
+
+    function hexColor(rgb) {
+        return '#' + rgb.map(value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    const Ansi = {
+        COLORS,
+        parse,
+        strip,
+        style
+    };
+
+    // Shared with terminal-core.js under Node (bin/terminal)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Ansi;
+    } else {
+        window.Ansi = Ansi;
+    }
+
+})();
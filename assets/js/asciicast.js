@@ -0,0 +1,117 @@
+// Asciicast
+// Terminal sessions in asciinema's asciicast v2 format: a JSON header line, then one
+// [time, type, data] line per event, time in seconds from the start, type 'i' for
+// input and 'o' for output written to the terminal. terminal.js records sessions
+// with createRecorder ('script') and plays them back ('replay').
+// Runs in the browser and under Node, like ansi.js.
+(function() {
+    'use strict';
+
+    const VERSION = 2;
+
+    // The clock events are timed by, in milliseconds
+    const defaultClock = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+    // Records events timed from its creation. header sets width, height, title, env
+    // and the other header fields; version and timestamp are filled in.
+    function createRecorder(header = {}, now = defaultClock) {
+        const started = now();
+        const events = [];
+        const record = (type) => (data) => {
+            events.push([Number(((now() - started) / 1000).toFixed(6)), type, data]);
+        };
+
+        return {
+            header: Object.assign({ version: VERSION, width: 80, height: 24, timestamp: Math.floor(Date.now() / 1000) }, header),
+            events,
+            input: record('i'),
+            output: record('o'),
+            duration: () => (now() - started) / 1000
+        };
+    }
+
+    function serialize({ header, events }) {
+        return [header].concat(events).map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    // { header, events } of a cast; throws on anything that isn't asciicast v2
+    function parse(text) {
+        const lines = String(text).split(/\r?\n/);
+        const header = parseLine(lines[0], 1);
+        if (!header || typeof header !== 'object' || Array.isArray(header)) {
+            throw new Error('not an asciicast file');
+        }
+        if (header.version !== VERSION) {
+            throw new Error(`unsupported asciicast version ${header.version}`);
+        }
+
+        const events = [];
+        lines.slice(1).forEach((line, i) => {
+            if (!line.trim()) return;
+            const event = parseLine(line, i + 2);
+            if (!Array.isArray(event) || typeof event[0] !== 'number' || typeof event[1] !== 'string' || typeof event[2] !== 'string') {
+                throw new Error(`line ${i + 2}: not an event`);
+            }
+            events.push(event);
+        });
+
+        return { header, events };
+    }
+
+    function parseLine(line, number) {
+        try {
+            return JSON.parse(line);
+        } catch (err) {
+            throw new Error(number === 1 ? 'not an asciicast file' : `line ${number}: not an event`);
+        }
+    }
+
+    // The output events as { time, data }, with pauses longer than the header's
+    // idle_time_limit cut down to it, as asciinema plays them
+    function outputFrames({ header, events }) {
+        const limit = header.idle_time_limit > 0 ? header.idle_time_limit : Infinity;
+        const frames = [];
+        let previous = 0;
+        let time = 0;
+
+        events.forEach(([at, type, data]) => {
+            if (type !== 'o') return;
+            time += Math.min(Math.max(at - previous, 0), limit);
+            previous = at;
+            frames.push({ time, data });
+        });
+
+        return frames;
+    }
+
+    // The text a screen shows after the output data: what follows the last clear
+    // (ESC [2J), with line breaks as \n and a carriage return starting its line over.
+    // Color codes are kept for Ansi.parse.
+    function screenText(data) {
+        const clear = data.lastIndexOf('\x1b[2J');
+        return data.substring(clear === -1 ? 0 : clear + 4)
+            .replace(/\x1b\[H/g, '')
+            .split(/\r*\n/)
+            .map(line => {
+                line = line.replace(/\r+$/, '');
+                return line.substring(line.lastIndexOf('\r') + 1);
+            })
+            .join('\n');
+    }
+
+    const Asciicast = {
+        createRecorder,
+        serialize,
+        parse,
+        outputFrames,
+        screenText
+    };
+
+    // Shared with the tests under Node
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Asciicast;
+    } else {
+        window.Asciicast = Asciicast;
+    }
+
+})();
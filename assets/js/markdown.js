@@ -0,0 +1,178 @@
+// Markdown Renderer
+// Renders the small Markdown dialect used by blog posts into preformatted HTML
+// that reuses the terminal's syntax classes (.comment, .keyword, .string, ...).
+// Runs in the browser and under Node for the static build.
+(function() {
+    'use strict';
+
+    const HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    // Front Matter
+    // Supports the YAML subset posts use: 'key: value' lines and [a, b] lists
+    function parseFrontMatter(source) {
+        const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+        if (!match) {
+            return { data: {}, body: source };
+        }
+
+        const data = {};
+        match[1].split(/\r?\n/).forEach(line => {
+            const field = line.match(/^([\w-]+):\s*(.*)$/);
+            if (!field) return;
+
+            const value = field[2].trim();
+            const list = value.match(/^\[(.*)\]$/);
+            data[field[1]] = list
+                ? list[1].split(',').map(unquote).filter(Boolean)
+                : unquote(value);
+        });
+
+        return { data, body: source.substring(match[0].length) };
+    }
+
+    function unquote(value) {
+        return value.trim().replace(/^(["'])(.*)\1$/, '$2');
+    }
+
+    // Inline Formatting
+    // `code`, **strong**, *em* and [links](url); everything else is escaped
+    const INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|\[([^\]]+)\]\(([^)\s]+)\)|(?:\*([^*\s][^*]*)\*|\b_([^_\s][^_]*)_\b)/g;
+
+    function renderInline(text) {
+        let html = '';
+        let last = 0;
+
+        text.replace(INLINE_PATTERN, (match, code, strong, label, href, em, underscored, offset) => {
+            html += escapeHtml(text.substring(last, offset));
+            last = offset + match.length;
+
+            if (code !== undefined) {
+                html += `<span class="variable">${escapeHtml(code)}</span>`;
+            } else if (strong !== undefined) {
+                html += `<span class="string">${renderInline(strong)}</span>`;
+            } else if (label !== undefined) {
+                html += renderLink(label, href);
+            } else {
+                html += `<span class="property">${renderInline(em || underscored)}</span>`;
+            }
+            return match;
+        });
+
+        return html + escapeHtml(text.substring(last));
+    }
+
+    // Only web, mail and in-site links are rendered; anything else stays plain text
+    function renderLink(label, href) {
+        if (!/^(https?:|mailto:|\/|#)/i.test(href)) {
+            return escapeHtml(label);
+        }
+        const external = /^https?:/i.test(href);
+        return `<a href="${escapeHtml(href)}" class="blog-link-inline"${external ? ' target="_blank" rel="noopener"' : ''}>${renderInline(label)}</a>`;
+    }
+
+    // Code Highlighting
+    const KEYWORDS = [
+        'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default',
+        'do', 'elif', 'else', 'export', 'extends', 'False', 'false', 'for', 'from', 'function', 'if',
+        'import', 'in', 'let', 'new', 'None', 'null', 'of', 'return', 'self', 'static', 'switch',
+        'this', 'throw', 'True', 'true', 'try', 'typeof', 'undefined', 'var', 'while', 'with', 'yield'
+    ];
+
+    const HASH_COMMENT_LANGUAGES = ['py', 'python', 'sh', 'bash', 'shell', 'yaml', 'yml', 'rb', 'ruby'];
+
+    function highlightLine(line, language) {
+        const comment = HASH_COMMENT_LANGUAGES.includes(language) ? '#.*$' : '\\/\\/.*$';
+        const pattern = new RegExp(
+            `(${comment})` +
+            '|("(?:[^"\\\\]|\\\\.)*"|\'(?:[^\'\\\\]|\\\\.)*\'|`(?:[^`\\\\]|\\\\.)*`)' +
+            '|\\b(\\d+(?:\\.\\d+)?)\\b' +
+            `|\\b(${KEYWORDS.join('|')})\\b` +
+            '|([A-Za-z_$][\\w$]*)(?=\\s*\\()',
+            'g'
+        );
+
+        let html = '';
+        let last = 0;
+        line.replace(pattern, (match, commentText, string, number, keyword, call, offset) => {
+            const className = commentText !== undefined ? 'comment'
+                : string !== undefined ? 'string'
+                : number !== undefined ? 'property'
+                : keyword !== undefined ? 'keyword'
+                : 'function';
+
+            html += escapeHtml(line.substring(last, offset)) + `<span class="${className}">${escapeHtml(match)}</span>`;
+            last = offset + match.length;
+            return match;
+        });
+
+        return html + escapeHtml(line.substring(last));
+    }
+
+    // Block Rendering
+    // Line based, so every span opens and closes on one line and the result can be
+    // split on newlines (for paging) without breaking markup
+    function render(markdown) {
+        const lines = markdown.replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+        const output = [];
+        let fence = null;
+
+        lines.forEach(line => {
+            if (fence !== null) {
+                if (/^\s*```\s*$/.test(line)) {
+                    fence = null;
+                } else {
+                    output.push(highlightLine(line, fence));
+                }
+                return;
+            }
+
+            const fenceOpen = line.match(/^\s*```\s*([\w+-]*)\s*$/);
+            const heading = line.match(/^#{1,6}\s+(.*)$/);
+            const quote = line.match(/^>\s?(.*)$/);
+            const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+            const numbered = line.match(/^(\s*)(\d+)\.\s+(.*)$/);
+
+            if (fenceOpen) {
+                fence = fenceOpen[1].toLowerCase();
+            } else if (heading) {
+                output.push(`<span class="keyword">${renderInline(heading[1])}</span>`);
+            } else if (quote) {
+                output.push(`<span class="comment">// ${renderInline(quote[1])}</span>`);
+            } else if (bullet) {
+                output.push(`${bullet[1]}• ${renderInline(bullet[2])}`);
+            } else if (numbered) {
+                output.push(`${numbered[1]}${numbered[2]}. ${renderInline(numbered[3])}`);
+            } else if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+                output.push('<span class="comment">────────────────────────────────</span>');
+            } else {
+                output.push(renderInline(line));
+            }
+        });
+
+        return output.join('\n');
+    }
+
+    const Markdown = {
+        escapeHtml,
+        parseFrontMatter,
+        render
+    };
+
+    // Shared with the Node build script (scripts/build.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Markdown;
+    } else {
+        window.Markdown = Markdown;
+    }
+
+})();
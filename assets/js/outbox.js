@@ -0,0 +1,121 @@
+// Mail Outbox
+// Messages 'mail' couldn't send while offline wait in IndexedDB until they can be.
+// The page queues them (terminal.js) and the service worker sends them when Background
+// Sync fires (sw.js); where there is no Background Sync the page sends them itself.
+// Runs in the page, in the service worker and under Node (post only, for bin/terminal).
+(function() {
+    'use strict';
+
+    const DB_NAME = 'terminal-mail';
+    const STORE = 'outbox';
+    const SYNC_TAG = 'mail-outbox';
+
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Resolves with the result of the request made on the store once its transaction is done
+    function withStore(mode, makeRequest) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = makeRequest(transaction.objectStore(STORE));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = transaction.onabort = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        }));
+    }
+
+    function add(endpoint, message) {
+        return withStore('readwrite', store => store.add({ endpoint, message, queued: Date.now() }));
+    }
+
+    // Queued entries, oldest first: { id, endpoint, message, queued }
+    function list() {
+        return withStore('readonly', store => store.getAll());
+    }
+
+    // Take an entry out of the outbox, resolving with it, or with undefined when another
+    // flush (the page's or the service worker's) has taken it already
+    function claim(id) {
+        return withStore('readwrite', store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) store.delete(id);
+            };
+            return request;
+        });
+    }
+
+    // Put a claimed entry back in its place
+    function restore(entry) {
+        return withStore('readwrite', store => store.put(entry));
+    }
+
+    // POST a message as JSON. Like fetch, rejects with a TypeError when the network fails;
+    // an endpoint that answers with an error rejects with its status.
+    function post(endpoint, message) {
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(message)
+        }).then(response => {
+            if (!response.ok) {
+                const err = new Error(`HTTP ${response.status}`);
+                err.status = response.status;
+                throw err;
+            }
+            return response;
+        });
+    }
+
+    // Send the queued messages in order, resolving with how many were sent. Each is
+    // claimed before it is posted, so flushes running side by side send it once. One
+    // the endpoint refuses (4xx) is dropped, as sending it again won't help; any other
+    // failure rejects and leaves it and the rest queued for the next try.
+    async function flush() {
+        let sent = 0;
+        for (const { id } of await list()) {
+            const entry = await claim(id);
+            if (!entry) continue;
+
+            try {
+                await post(entry.endpoint, entry.message);
+                sent++;
+            } catch (err) {
+                if (!(err.status >= 400 && err.status < 500)) {
+                    await restore(entry);
+                    throw err;
+                }
+            }
+        }
+        return sent;
+    }
+
+    const MailOutbox = {
+        SYNC_TAG,
+        add,
+        list,
+        flush,
+        post
+    };
+
+    // self is the page's window or the service worker's global scope
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MailOutbox;
+    } else {
+        self.MailOutbox = MailOutbox;
+    }
+
+})();
@@ -0,0 +1,59 @@
+// Project Data
+// The PROJECTS section, the 'projects' command and the projects/ file in the
+// terminal's filesystem are all built from this list.
+//   id           - short name used by 'projects show <id>'
+//   progress     - 0-100, drawn as the card's progress bar
+//   links        - [{ label, url }], shown in the detail view
+(function() {
+    'use strict';
+
+    const projects = [
+        {
+            id: 'a11y-validator',
+            name: 'AI Accessibility Validator',
+            icon: '[AI]',
+            description: 'Image accessibility testing system using AI for semantic validation',
+            tags: ['Python', 'Claude API', 'A11y'],
+            status: 'DEPLOYED',
+            progress: 100,
+            links: []
+        },
+        {
+            id: 'analytics-dashboard',
+            name: 'Smart Analytics Dashboard',
+            icon: '[📊]',
+            description: 'AI-powered dashboard with predictive insights and automated reporting',
+            tags: ['React', 'OpenAI', 'D3.js'],
+            status: 'LIVE',
+            progress: 100,
+            links: []
+        },
+        {
+            id: 'rag-assistant',
+            name: 'RAG Chat Assistant',
+            icon: '[🤖]',
+            description: 'Company-wide AI assistant with documentation retrieval',
+            tags: ['TypeScript', 'LangChain', 'Vector DB'],
+            status: 'IN PRODUCTION',
+            progress: 100,
+            links: []
+        },
+        {
+            id: 'test-automation',
+            name: 'Test Automation Framework',
+            icon: '[⚡]',
+            description: 'Scalable testing framework with parallel execution on AWS',
+            tags: ['Selenium', 'Docker', 'Jenkins'],
+            status: 'RUNNING',
+            progress: 100,
+            links: []
+        }
+    ];
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = projects;
+    } else {
+        window.Projects = projects;
+    }
+
+})();
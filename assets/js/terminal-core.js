@@ -0,0 +1,1490 @@
+// Terminal Core
+// The shell behind the terminal, with no DOM: the command registry, the parser,
+// pipelines and background jobs, history, the virtual filesystem and the site's
+// content (sections, projects and blog posts). terminal.js runs it in the page and
+// bin/terminal in a console; each passes a host for what only it can do:
+//   sections               - [{ id, title, read }], one per page section; the first is
+//                            home (the root directory) and read() returns a section's text
+//   projects               - project data (assets/js/projects.js)
+//   fetchFile(path)        - Promise of a site file's text, e.g. 'posts/index.json'
+//   createWriter()         - a (text, { stream }) writer for one job's output
+//   print(text)            - output arriving outside of a command (job reports)
+//   changeDirectory(dir)   - after cd; dir.section names the section, if any
+//   showPost(post)         - optional: show a post 'blog read' opens; without it the
+//                            post's Markdown is printed
+//   commandNotFound(name)  - optional: react to a mistyped command
+//   saveHistory(history)   - optional: persist the command history
+//   colors                 - optional: true if the writers render ANSI color codes
+//                            (see ansi.js); commands then color what they print
+//   ask(question, signal)  - optional: Promise of the next line the user enters, or null
+//                            when input has ended; needed by commands that ask (see Asking)
+//   sendMail(message)      - optional: deliver a message written with 'mail', resolving
+//                            with a status line; without it there is no mail command
+// Runs in the browser and under Node, like markdown.js.
+(function() {
+    'use strict';
+
+    const Markdown = typeof module !== 'undefined' && module.exports
+        ? require('./markdown.js')
+        : window.Markdown;
+    const Ansi = typeof module !== 'undefined' && module.exports
+        ? require('./ansi.js')
+        : window.Ansi;
+
+    const HISTORY_LIMIT = 500;
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const DEFAULT_COMMAND_GROUP = 'Available commands';
+
+    const HELP_NOTES = `
+History: !! repeats the last command, !n runs entry n, !prefix the
+latest entry starting with prefix; Ctrl+R searches backwards.
+
+Chain commands with ';' and '&&', pipe output with '|':
+  help | grep theme
+  cat blog/performant-web.md | head 5
+
+End a command with '&' to run it in the background; Ctrl+C stops
+the command in the foreground.
+
+Type 'help <command>' for details on a command.`.trim();
+
+    function createTerminal(host) {
+        const state = {
+            cwd: '/',
+            history: []
+        };
+
+        // Virtual Filesystem
+        const fileSystem = {
+            root: createDir(host.sections.length ? host.sections[0].id : null)
+        };
+
+        // Mirror the page into a directory per section, with each section's
+        // title (ABOUT.txt, CONTACT.sh, ...) as the file holding its text.
+        // The root directory is the home section.
+        function buildFileSystem() {
+            const root = fileSystem.root;
+
+            host.sections.forEach(section => {
+                if (section.id === root.section) return;
+
+                const dir = createDir(section.id);
+                if (section.title) {
+                    const reader = sectionReaders[section.id] || section.read;
+                    dir.children[section.title] = createFile(() => reader());
+                }
+
+                root.children[section.id] = dir;
+            });
+        }
+
+        // Posts arrive with the blog index, after the rest of the tree is built
+        function addBlogFiles() {
+            const blogDir = fileSystem.root.children.blog;
+            if (!blogDir) return;
+
+            Object.keys(blogPosts).forEach(postId => {
+                blogDir.children[`${postId}.md`] = createFile(() => loadBlogPost(postId).then(post => post.source));
+            });
+        }
+
+        const sectionReaders = {
+            projects: () => {
+                return host.projects.map(project => {
+                    return `${project.name} [${project.status}]\n  ${project.description}\n  tags: ${project.tags.join(', ')}`;
+                }).join('\n\n');
+            },
+            blog: () => {
+                return Object.values(blogPosts).map(post => {
+                    return `[${formatPostDate(post.date)}] ${post.id}.md - ${post.title}`;
+                }).join('\n');
+            }
+        };
+
+        // Resolve a path against the working directory into a normalized absolute path
+        function resolvePath(path, cwd = state.cwd) {
+            if (path === '~' || path.startsWith('~/')) {
+                path = '/' + path.substring(1);
+            }
+
+            const parts = path.startsWith('/') ? [] : cwd.split('/').filter(Boolean);
+            path.split('/').forEach(part => {
+                if (part === '..') {
+                    parts.pop();
+                } else if (part && part !== '.') {
+                    parts.push(part);
+                }
+            });
+
+            return '/' + parts.join('/');
+        }
+
+        // Walk an absolute path; names match case-insensitively when there is no exact match
+        function getNode(absolutePath) {
+            let node = fileSystem.root;
+            const parts = absolutePath.split('/').filter(Boolean);
+
+            for (const part of parts) {
+                if (node.type !== 'dir') return null;
+
+                let child = node.children[part];
+                if (!child) {
+                    const match = Object.keys(node.children).find(name => name.toLowerCase() === part.toLowerCase());
+                    child = match && node.children[match];
+                }
+                if (!child) return null;
+                node = child;
+            }
+
+            return node;
+        }
+
+        // Read one or more files from the virtual filesystem, collecting errors like cat does.
+        // File readers may be asynchronous (blog posts are fetched on demand).
+        async function readFiles(name, paths) {
+            const contents = [];
+            const errors = [];
+
+            for (const path of paths) {
+                const node = getNode(resolvePath(path));
+                if (!node) {
+                    errors.push(`${name}: ${path}: No such file or directory`);
+                } else if (node.type === 'dir') {
+                    errors.push(`${name}: ${path}: Is a directory`);
+                } else {
+                    try {
+                        contents.push(await node.read());
+                    } catch (err) {
+                        errors.push(`${name}: ${path}: ${err.message}`);
+                    }
+                }
+            }
+
+            return { output: contents.join('\n'), error: errors.join('\n') || undefined, status: errors.length ? 1 : 0 };
+        }
+
+        // Complete the last word as a path relative to the working directory.
+        // Directories get a trailing slash so completion can continue into them.
+        function completePaths(words, { dirsOnly = false, fromRoot = false } = {}) {
+            const word = words[words.length - 1];
+            const slash = word.lastIndexOf('/');
+            const dirPart = word.substring(0, slash + 1);
+
+            function entries(base) {
+                const dir = getNode(resolvePath(base || '.'));
+                if (!dir || dir.type !== 'dir') return [];
+                return Object.entries(dir.children)
+                    .filter(([, child]) => !dirsOnly || child.type === 'dir')
+                    .map(([name, child]) => dirPart + name + (child.type === 'dir' ? '/' : ''));
+            }
+
+            const candidates = entries(dirPart);
+
+            // Section names complete from anywhere, matching cd's CDPATH-style lookup
+            if (fromRoot && !dirPart) {
+                entries('/').forEach(candidate => {
+                    if (!candidates.includes(candidate)) candidates.push(candidate);
+                });
+            }
+
+            return candidates;
+        }
+
+        // Command Registry
+        // Every command, built-in or from a plugin, is registered with a spec:
+        //   run(args, stdin, context)  - returns a string, a { output, error, status } result,
+        //                                a Promise of either, or an async iterator of lines,
+        //                                which streams to the screen as the lines arrive
+        //   help                       - one-line summary for 'help'; further lines are shown
+        //                                by 'help <command>'
+        //   usage                      - synopsis, e.g. 'grep [-i] pattern [file...]'
+        //   complete(words)            - candidates for the next argument (see completeCommand)
+        //   aliases                    - other names that run the command
+        //   group                      - heading 'help' lists the command under
+        //   hidden                     - left out of 'help' and command completion
+        // context.piped tells a command its output feeds another command rather than the screen;
+        // context.color that it goes to a screen that shows colors, so it may use Ansi.style;
+        // context.background that it runs as a background job, so it can't take the keyboard.
+        // context.ask(question, options) asks the user for a value (see Asking).
+        const commands = {};
+        const commandAliases = {};
+
+        function registerCommand(name, spec) {
+            if (typeof spec === 'function') {
+                spec = { run: spec };
+            }
+            if (typeof name !== 'string' || !/^[a-z0-9][\w.-]*$/i.test(name)) {
+                throw new TypeError(`registerCommand: invalid command name '${name}'`);
+            }
+            if (!spec || typeof spec.run !== 'function') {
+                throw new TypeError(`registerCommand: ${name}: run must be a function`);
+            }
+
+            const key = name.toLowerCase();
+            unregisterCommand(key);
+            commands[key] = {
+                name: key,
+                run: spec.run,
+                help: spec.help || '',
+                usage: spec.usage || key,
+                complete: spec.complete || null,
+                aliases: (spec.aliases || []).map(alias => alias.toLowerCase()),
+                group: spec.group || DEFAULT_COMMAND_GROUP,
+                hidden: Boolean(spec.hidden)
+            };
+            commands[key].aliases.forEach(alias => {
+                commandAliases[alias] = key;
+            });
+        }
+
+        function unregisterCommand(name) {
+            const command = findCommand(name);
+            if (!command || command.name !== name.toLowerCase()) return false;
+
+            command.aliases.forEach(alias => {
+                delete commandAliases[alias];
+            });
+            delete commands[command.name];
+            return true;
+        }
+
+        function findCommand(name) {
+            const key = name.toLowerCase();
+            if (Object.prototype.hasOwnProperty.call(commands, key)) return commands[key];
+            if (Object.prototype.hasOwnProperty.call(commandAliases, key)) return commands[commandAliases[key]];
+            return null;
+        }
+
+        // Help
+        function renderHelp() {
+            const groups = {};
+            const listed = Object.values(commands).filter(command => !command.hidden);
+            listed.forEach(command => {
+                (groups[command.group] = groups[command.group] || []).push(command);
+            });
+
+            const width = Math.max(8, ...listed.map(command => command.name.length));
+            const sections = Object.entries(groups).map(([group, members]) => {
+                const lines = members.map(command => {
+                    return `  ${command.name.padEnd(width)} - ${command.help.split('\n')[0]}`;
+                });
+                return `${group}:\n${lines.join('\n')}`;
+            });
+
+            return sections.concat(HELP_NOTES).join('\n\n');
+        }
+
+        function renderCommandHelp(command) {
+            const [summary, ...details] = command.help.split('\n');
+            const lines = [`${command.name} - ${summary}`, `Usage: ${command.usage}`];
+            if (command.aliases.length) {
+                lines.push(`Aliases: ${command.aliases.join(', ')}`);
+            }
+            if (details.length) {
+                lines.push('', ...details);
+            }
+            return lines.join('\n');
+        }
+
+        // Command Execution
+        function runCommand(argv, stdin, context) {
+            const [name, ...args] = argv;
+            const command = findCommand(name);
+            if (!command) {
+                if (host.commandNotFound) host.commandNotFound(name);
+                return Promise.resolve(fail(`Command not found: ${name}. Type 'help' for available commands.`, 127));
+            }
+
+            return Promise.resolve()
+                .then(() => command.run(args, stdin, context))
+                .then(result => (isAsyncIterable(result) ? drainLines(name, result, context) : result))
+                .then(normalizeResult, (err) => {
+                    // Interrupted: like a shell, exit status 130 and no message
+                    if (context.signal.aborted) return fail('', 130);
+                    return fail(`${name}: ${err.message}`);
+                });
+        }
+
+        // Each stage's stdout becomes the next stage's stdin; errors bypass the pipe
+        async function runPipeline(pipeline, write, signal, { background = false } = {}) {
+            const errors = [];
+            let result = { output: '', status: 0 };
+
+            for (let i = 0; i < pipeline.length; i++) {
+                if (signal.aborted) break;
+                const piped = i < pipeline.length - 1;
+                // Output that is returned to a caller rather than written stays plain
+                const color = Boolean(host.colors && write) && !piped;
+                const context = { piped, color, write, signal, background };
+                context.ask = (question, options) => askUser(question, options, context, background);
+                result = await runCommand(pipeline[i], result.output, context);
+                if (result.error) errors.push(result.error);
+            }
+
+            return { output: result.output, errors, status: result.status };
+        }
+
+        // Run a command line. With a write callback, output is handed over piece by piece
+        // as it is produced (streamed lines carry { stream: true }, errors { error: true })
+        // and the exit status of the last pipeline is returned; without one the output is
+        // collected and returned. The signal, when given, stops it (see Jobs).
+        async function executeCommand(input, write, signal = new AbortController().signal) {
+            let list;
+            try {
+                list = parseCommandLine(input);
+            } catch (err) {
+                if (!write) return err.message;
+                write(err.message, { error: true });
+                return 2;
+            }
+
+            const chunks = [];
+            const emit = write || (chunk => chunks.push(chunk));
+            let status = 0;
+
+            for (const { pipeline, connector, background } of list) {
+                if (signal.aborted) break;
+                // '&&' only runs when the previous pipeline succeeded
+                if (connector === '&&' && status !== 0) continue;
+
+                if (background) {
+                    emit(startBackgroundJob(pipeline));
+                    status = 0;
+                    continue;
+                }
+
+                const result = await runPipeline(pipeline, write && emit, signal);
+                status = result.status;
+                writeResult(result, emit);
+            }
+
+            return write ? status : chunks.join('\n');
+        }
+
+        // Errors first, as they reach the screen before output a pipe held back
+        function writeResult(result, write) {
+            result.errors.filter(Boolean).forEach(error => write(error, { error: true }));
+            if (result.output) write(result.output);
+        }
+
+        // Asking
+        // context.ask(question, options) resolves with the user's answer, read through
+        // host.ask with the question as the prompt. Options:
+        //   default    - the answer to an empty line, shown as 'Subject [Hello]:'
+        //   validate   - (answer) => a message to print before asking again, or null
+        //   multiline  - read lines up to one holding only '.', as mail(1) does
+        // Ctrl+C aborts the job and with it the question. Background jobs can't ask.
+        async function askUser(question, options = {}, context, background) {
+            const { default: fallback = '', validate = null, multiline = false } = options;
+            if (!host.ask || background) {
+                throw new Error('cannot ask for input here');
+            }
+            const say = context.write || host.print;
+
+            for (;;) {
+                let answer;
+                if (multiline) {
+                    say(`${question}, ending with a line holding only '.':`);
+                    const lines = [];
+                    let line = await readAnswer('>', context.signal);
+                    while (line !== '.') {
+                        lines.push(line);
+                        line = await readAnswer('>', context.signal);
+                    }
+                    answer = lines.join('\n');
+                } else {
+                    const line = await readAnswer(fallback ? `${question} [${fallback}]:` : `${question}:`, context.signal);
+                    answer = line.trim() || fallback;
+                }
+
+                const error = validate ? validate(answer) : null;
+                if (!error) return answer;
+                say(error);
+            }
+        }
+
+        async function readAnswer(prompt, signal) {
+            const line = await host.ask(prompt, signal);
+            if (signal.aborted) throw new Error('interrupted');
+            if (line === null) throw new Error('no more input');
+            return line;
+        }
+
+        // Candidates for the word being typed at the end of the line: a command name
+        // in command position, otherwise whatever that command's completer offers
+        function completeCommand(line) {
+            const segment = line.split(/&&|[|;]/).pop().replace(/^\s+/, '');
+            const words = segment.split(/\s+/);
+            const word = words[words.length - 1];
+
+            let candidates;
+            if (words.length === 1) {
+                candidates = Object.keys(commands).filter(name => !commands[name].hidden).concat(Object.keys(commandAliases));
+            } else {
+                const command = findCommand(words[0]);
+                candidates = command && command.complete ? command.complete(words.slice(1)) : [];
+            }
+
+            return { word, candidates: candidates.filter(candidate => candidate.startsWith(word)).sort() };
+        }
+
+        // Jobs
+        // Every command line runs as a job whose AbortSignal reaches commands as
+        // context.signal. Pipelines followed by '&' run as numbered background jobs
+        // that 'jobs', 'fg' and 'kill' manage. Output of an aborted job is dropped,
+        // so a command that ignores its signal can't write after ^C.
+        const jobs = [];
+
+        function createJob(command, run) {
+            const controller = new AbortController();
+            const write = host.createWriter();
+            const job = { id: 0, command, controller, signal: controller.signal };
+
+            job.done = Promise.resolve()
+                .then(() => run((text, options) => {
+                    if (!job.signal.aborted) write(text, options);
+                }, job.signal))
+                .catch(err => {
+                    if (!job.signal.aborted) host.print(err.message);
+                });
+            return job;
+        }
+
+        function startBackgroundJob(pipeline) {
+            const job = createJob(formatPipeline(pipeline), async (write, signal) => {
+                const result = await runPipeline(pipeline, write, signal, { background: true });
+                // A job brought back with fg hands its output and status to fg instead
+                if (!job.foreground) writeResult(result, write);
+                return result;
+            });
+            job.id = jobs.reduce((max, other) => Math.max(max, other.id), 0) + 1;
+            jobs.push(job);
+
+            // Jobs taken over by fg or kill report themselves
+            job.done.then((result) => {
+                if (removeJob(job)) {
+                    const outcome = result && result.status ? `Exit ${result.status}` : 'Done';
+                    host.print(`[${job.id}]+  ${outcome.padEnd(24)}${job.command}`);
+                }
+            });
+            return `[${job.id}] ${job.command}`;
+        }
+
+        function removeJob(job) {
+            const index = jobs.indexOf(job);
+            if (index === -1) return false;
+            jobs.splice(index, 1);
+            return true;
+        }
+
+        // %n, or %% / %+ for the current (newest) job and %- for the one before
+        function findJob(spec) {
+            if (spec === '%%' || spec === '%+') return jobs[jobs.length - 1];
+            if (spec === '%-') return jobs[jobs.length - 2];
+            if (/^%\d+$/.test(spec)) return jobs.find(job => job.id === Number(spec.substring(1)));
+            return undefined;
+        }
+
+        function jobMarker(job) {
+            const index = jobs.indexOf(job);
+            return index === jobs.length - 1 ? '+' : index === jobs.length - 2 ? '-' : ' ';
+        }
+
+        // Command History
+        function setHistory(entries) {
+            state.history = entries.filter(entry => typeof entry === 'string').slice(-HISTORY_LIMIT);
+        }
+
+        // Skip consecutive duplicates and keep only the newest HISTORY_LIMIT entries
+        function recordHistory(input) {
+            const history = state.history;
+            if (history[history.length - 1] !== input) {
+                history.push(input);
+                if (history.length > HISTORY_LIMIT) {
+                    history.splice(0, history.length - HISTORY_LIMIT);
+                }
+                saveHistory();
+            }
+        }
+
+        function clearHistory() {
+            state.history = [];
+            saveHistory();
+        }
+
+        function saveHistory() {
+            if (host.saveHistory) host.saveHistory(state.history);
+        }
+
+        // Expand !!, !n, !-n and !prefix outside of single quotes
+        function expandHistory(input) {
+            const history = state.history;
+            let result = '';
+            let inSingleQuotes = false;
+
+            for (let i = 0; i < input.length; i++) {
+                const char = input[i];
+                if (char === "'") inSingleQuotes = !inSingleQuotes;
+
+                const designator = !inSingleQuotes && char === '!' && input.substring(i + 1).match(/^(!|-?\d+|[^\s!=;|&'"]+)/);
+                if (!designator) {
+                    result += char;
+                    continue;
+                }
+
+                const event = designator[1];
+                let entry;
+                if (event === '!') {
+                    entry = history[history.length - 1];
+                } else if (/^-?\d+$/.test(event)) {
+                    const n = parseInt(event, 10);
+                    entry = history[n < 0 ? history.length + n : n - 1];
+                } else {
+                    entry = history.slice().reverse().find(line => line.startsWith(event));
+                }
+
+                if (entry === undefined) {
+                    throw new Error(`!${event}: event not found`);
+                }
+                result += entry;
+                i += event.length;
+            }
+
+            return result;
+        }
+
+        // Projects
+        function filterProjects({ tag, status } = {}) {
+            const matches = (value, wanted) => value.toLowerCase() === wanted.toLowerCase();
+            return host.projects.filter(project => {
+                return (!tag || project.tags.some(projectTag => matches(projectTag, tag))) &&
+                    (!status || matches(project.status, status));
+            });
+        }
+
+        function listProjects(args, context) {
+            const { options, operands } = parseOptions(args, ['tag', 'status']);
+            if (operands.length) {
+                return fail(`projects: unexpected argument '${operands[0]}'. Usage: projects [--tag tag] [--status status] | show <id>`);
+            }
+
+            const missing = Object.keys(options).find(name => !options[name]);
+            if (missing) {
+                return fail(`projects: --${missing} requires a value`);
+            }
+
+            const projects = filterProjects(options);
+            if (!projects.length) {
+                return fail('projects: no projects match');
+            }
+
+            const paint = (text, ...styles) => (context.color ? Ansi.style(text, ...styles) : text);
+            const header = ['ID', 'NAME', 'STATUS', 'PROGRESS', 'TAGS'].map(title => paint(title, 'bold'));
+            return formatTable([header].concat(projects.map(project => {
+                return [project.id, project.name, paint(project.status, 'green'), `${project.progress}%`, project.tags.join(', ')];
+            })));
+        }
+
+        function showProject(id) {
+            if (!id) {
+                return fail('projects show: missing project (see projects)');
+            }
+            const project = host.projects.find(candidate => candidate.id === id);
+            if (!project) {
+                return fail(`projects show: ${id}: no such project`);
+            }
+
+            const filled = Math.round(project.progress / 10);
+            const lines = [
+                `${project.icon} ${project.name}`,
+                '',
+                `  id:        ${project.id}`,
+                `  status:    ${project.status}`,
+                `  progress:  [${'#'.repeat(filled).padEnd(10, '.')}] ${project.progress}%`,
+                `  tags:      ${project.tags.join(', ')}`,
+                '',
+                `  ${project.description}`
+            ];
+            if (project.links.length) {
+                lines.push('', ...project.links.map(link => `  ${link.label}: ${link.url}`));
+            }
+            return lines.join('\n');
+        }
+
+        // Blog
+        // Posts are Markdown files with front matter under posts/. posts/index.json
+        // carries their metadata so lists need no post bodies; bodies are fetched and
+        // rendered the first time they are opened.
+        const blogPosts = {};
+
+        // Index entries are kept newest first. Loaded once and shared by every reader;
+        // a failed load is retried on the next call.
+        let blogIndexLoading = null;
+
+        function loadBlogIndex() {
+            if (!blogIndexLoading) {
+                blogIndexLoading = host.fetchFile('posts/index.json')
+                    .then(text => {
+                        JSON.parse(text)
+                            .sort((a, b) => b.date.localeCompare(a.date))
+                            .forEach(post => {
+                                blogPosts[post.id] = post;
+                            });
+                        addBlogFiles();
+                        return blogPosts;
+                    })
+                    .catch(err => {
+                        blogIndexLoading = null;
+                        throw err;
+                    });
+            }
+            return blogIndexLoading;
+        }
+
+        // Fetch and render a post once; a failed fetch is retried on the next call
+        function loadBlogPost(postId) {
+            const post = blogPosts[postId];
+            if (!post) {
+                return Promise.reject(new Error('No such post'));
+            }
+
+            if (!post.loading) {
+                post.loading = host.fetchFile(`posts/${encodeURIComponent(postId)}.md`)
+                    .then(source => {
+                        const { body } = Markdown.parseFrontMatter(source);
+                        post.source = source;
+                        post.markdown = body;
+                        post.content = Markdown.render(body);
+                        return post;
+                    })
+                    .catch(err => {
+                        post.loading = null;
+                        throw err;
+                    });
+            }
+
+            return post.loading;
+        }
+
+        // [tag, count] pairs, most used first
+        function blogTags() {
+            const counts = {};
+            Object.values(blogPosts).forEach(post => {
+                (post.tags || []).forEach(tag => {
+                    counts[tag] = (counts[tag] || 0) + 1;
+                });
+            });
+            return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        }
+
+        // Subcommands of 'blog'; each receives its arguments once the index is loaded
+        const blogCommands = {
+            ls: (args) => {
+                const tagIndex = args.findIndex(arg => arg === '--tag' || arg.startsWith('--tag='));
+                let tag = null;
+                if (tagIndex !== -1) {
+                    tag = args[tagIndex] === '--tag' ? args[tagIndex + 1] : args[tagIndex].substring('--tag='.length);
+                    if (!tag) {
+                        return fail('blog ls: --tag requires a tag name');
+                    }
+                }
+
+                const posts = Object.values(blogPosts).filter(post => !tag || (post.tags || []).includes(tag));
+                if (!posts.length) {
+                    return fail(`blog ls: no posts tagged '${tag}'`);
+                }
+
+                return formatTable(posts.map(post => [formatPostDate(post.date), post.id, post.title]));
+            },
+            read: (args, context) => {
+                if (!args[0]) {
+                    return fail('blog read: missing post (see blog ls)');
+                }
+                return readBlogPost(args[0], context);
+            },
+            latest: (args, context) => {
+                const newest = Object.keys(blogPosts)[0];
+                if (!newest) {
+                    return fail('blog latest: no posts');
+                }
+                return readBlogPost(newest, context);
+            },
+            tags: () => {
+                return blogTags().map(([tag, count]) => `${tag} (${count})`).join('\n');
+            }
+        };
+
+        // Show a post through the host, or hand its Markdown on (to a pipe, to a host
+        // that shows text, or from a background job, which can't page)
+        async function readBlogPost(postId, context) {
+            if (!blogPosts[postId]) {
+                return fail(`blog read: ${postId}: no such post`);
+            }
+
+            let post;
+            try {
+                post = await loadBlogPost(postId);
+            } catch (err) {
+                return fail(`blog read: ${postId}: ${err.message}`);
+            }
+
+            if ((context && (context.piped || context.background)) || !host.showPost) {
+                return post.markdown;
+            }
+            host.showPost(post);
+            return '';
+        }
+
+        // Hacking Sequence Easter Egg
+        async function* hackingSequence(signal) {
+            const messages = [
+                'ACCESSING MAINFRAME...',
+                'BYPASSING FIREWALL...',
+                'INJECTING PAYLOAD...',
+                'EXTRACTING DATA...',
+                'HACK COMPLETE! Just kidding :)'
+            ];
+
+            yield 'INITIATING HACK SEQUENCE...';
+            for (let i = 0; i < messages.length; i++) {
+                if (i > 0) await sleep(1000, signal);
+                yield messages[i];
+            }
+        }
+
+        // Built-in Commands
+        // Commands that only need the shell and the content; the page and the CLI
+        // add their own (themes, sound, clear, ...) on top
+        function registerBuiltinCommands() {
+            registerCommand('help', {
+                help: 'Show this help message, or details on one command',
+                usage: 'help [command]',
+                complete: (words) => (words.length === 1 ? Object.keys(commands) : []),
+                run: (args) => {
+                    if (!args[0]) {
+                        return renderHelp();
+                    }
+                    const command = findCommand(args[0]);
+                    if (!command) {
+                        return fail(`help: no such command: ${args[0]}`);
+                    }
+                    return renderCommandHelp(command);
+                }
+            });
+
+            registerCommand('ls', {
+                help: 'List directory contents (e.g., ls blog)',
+                usage: 'ls [path]',
+                complete: completePaths,
+                run: (args, stdin, context) => {
+                    const path = args[0] || '.';
+                    const node = getNode(resolvePath(path));
+                    if (!node) {
+                        return fail(`ls: cannot access '${path}': No such file or directory`);
+                    }
+                    if (node.type === 'file') {
+                        return path;
+                    }
+                    // Directories in bold blue, as ls --color shows them
+                    return listDirectory(node).map(name => {
+                        return context.color && name.endsWith('/') ? Ansi.style(name, 'bold', 'blue') : name;
+                    }).join('  ');
+                }
+            });
+
+            registerCommand('cd', {
+                help: 'Change directory (e.g., cd about, cd ..)\nSection names work from any directory, and cd alone returns home.',
+                usage: 'cd [path]',
+                complete: (words) => completePaths(words, { dirsOnly: true, fromRoot: true }),
+                run: (args) => {
+                    // 'cd home' has always meant the home section, which is ~
+                    const path = args[0] === 'home' ? '~' : (args[0] || '~');
+                    let target = resolvePath(path);
+                    let node = getNode(target);
+
+                    // Like CDPATH=/, bare section names work from any directory
+                    if (!node && !path.includes('/')) {
+                        target = resolvePath(`/${path}`);
+                        node = getNode(target);
+                    }
+
+                    if (!node) {
+                        return fail(`cd: ${path}: No such file or directory`);
+                    }
+                    if (node.type !== 'dir') {
+                        return fail(`cd: ${path}: Not a directory`);
+                    }
+
+                    state.cwd = target;
+                    host.changeDirectory(node);
+                    return node.section ? `Navigating to ${node.section}...` : '';
+                }
+            });
+
+            registerCommand('pwd', {
+                help: 'Print working directory',
+                run: () => state.cwd
+            });
+
+            registerCommand('cat', {
+                help: 'Print file contents (e.g., cat about/ABOUT.txt)\nWith no files, copies piped input.',
+                usage: 'cat [file...]',
+                complete: completePaths,
+                run: (args, stdin) => {
+                    if (args.length === 0) {
+                        return stdin;
+                    }
+                    return readFiles('cat', args);
+                }
+            });
+
+            registerCommand('tree', {
+                help: 'Show the directory tree',
+                usage: 'tree [path]',
+                complete: (words) => completePaths(words, { dirsOnly: true }),
+                run: (args) => {
+                    const path = args[0] || '.';
+                    const node = getNode(resolvePath(path));
+                    if (!node) {
+                        return fail(`tree: ${path}: No such file or directory`);
+                    }
+                    return renderTree(node, path === '.' ? '.' : path);
+                }
+            });
+
+            registerCommand('history', {
+                help: 'Show command history (history -c to clear)',
+                usage: 'history [count] | history -c',
+                run: (args) => {
+                    if (args[0] === '-c') {
+                        clearHistory();
+                        return '';
+                    }
+
+                    const history = state.history;
+                    const count = args[0] === undefined ? history.length : parseInt(args[0], 10);
+                    if (isNaN(count)) {
+                        return fail(`history: ${args[0]}: numeric argument required`);
+                    }
+
+                    const start = Math.max(0, history.length - count);
+                    return history.slice(start).map((entry, i) => `${String(start + i + 1).padStart(5)}  ${entry}`).join('\n');
+                }
+            });
+
+            registerCommand('projects', {
+                help: 'List projects (projects --tag Python, projects --status LIVE, projects show <id>)',
+                usage: 'projects [--tag tag] [--status status] | projects show <id>',
+                complete: (words) => {
+                    const previous = words[words.length - 2];
+                    if (words[0] === 'show' && words.length === 2) return host.projects.map(project => project.id);
+                    if (previous === '--tag') return [...new Set(host.projects.flatMap(project => project.tags))];
+                    if (previous === '--status') return [...new Set(host.projects.map(project => project.status))];
+                    return words.length === 1 ? ['show', '--tag', '--status'] : ['--tag', '--status'];
+                },
+                run: (args, stdin, context) => {
+                    if (args[0] === 'show') {
+                        return showProject(args[1]);
+                    }
+                    return listProjects(args, context);
+                }
+            });
+
+            registerCommand('blog', {
+                help: 'Read the blog (blog ls, blog read <post>, blog tags, blog latest)',
+                usage: 'blog ls [--tag tag] | read <post> | tags | latest',
+                complete: (words) => {
+                    if (words.length === 1) return Object.keys(blogCommands);
+                    if (words[0] === 'read' && words.length === 2) return Object.keys(blogPosts);
+                    if (words[words.length - 2] === '--tag') return blogTags().map(([tag]) => tag);
+                    return words[0] === 'ls' ? ['--tag'] : [];
+                },
+                run: async (args, stdin, context) => {
+                    const [subcommand = 'ls', ...rest] = args;
+                    const handler = blogCommands[subcommand];
+                    if (!handler) {
+                        return fail(`blog: unknown subcommand '${subcommand}'. Usage: blog ls [--tag tag] | read <post> | tags | latest`);
+                    }
+
+                    try {
+                        await loadBlogIndex();
+                    } catch (err) {
+                        return fail(`blog: could not load posts (${err.message})`);
+                    }
+                    return handler(rest, context);
+                }
+            });
+
+            registerCommand('echo', {
+                help: 'Print arguments (e.g., echo "hello world")\nWith -e, backslash escapes are interpreted: \\n, \\t, \\\\ and \\e, which starts a color code (echo -e "\\e[31mred\\e[0m").',
+                usage: 'echo [-e] [text...]',
+                run: (args) => {
+                    if (args[0] !== '-e') {
+                        return args.join(' ');
+                    }
+                    return args.slice(1).join(' ').replace(/\\(e|033|x1b|n|t|\\)/g, (match, escape) => {
+                        return { n: '\n', t: '\t', '\\': '\\' }[escape] || '\x1b';
+                    });
+                }
+            });
+
+            registerCommand('whoami', {
+                help: 'Display user information',
+                run: () => 'Lev Kozhokaru - Software Engineer | Dev Tools Creator | AI Integration Specialist'
+            });
+
+            registerCommand('skills', {
+                help: 'Show technical skills',
+                run: () => {
+                    return `
+Languages: JavaScript, Python, TypeScript
+AI/ML: Claude, GPT, Custom LLM Orchestration
+Tools: React, Node.js, Docker, AWS
+Focus: Building dev tools that actually work
+                    `.trim();
+                }
+            });
+
+            registerCommand('contact', {
+                help: 'Display contact information',
+                run: () => {
+                    return `
+GitHub: https://github.com/kozhokaru
+LinkedIn: https://linkedin.com/in/levkoz
+                    `.trim();
+                }
+            });
+
+            // Only where the host can deliver messages (host.sendMail)
+            if (host.sendMail) {
+                registerCommand('mail', {
+                    help: 'Send Lev a message\nAsks for your name, email, a subject and the message; Ctrl+C cancels.',
+                    run: async (args, stdin, context) => {
+                        const required = what => answer => (answer.trim() ? null : `Please enter ${what}.`);
+                        const message = {
+                            name: await context.ask('Name', { validate: required('your name') }),
+                            email: await context.ask('Email', {
+                                validate: answer => (EMAIL_PATTERN.test(answer) ? null : `'${answer}' doesn't look like an email address.`)
+                            }),
+                            subject: await context.ask('Subject', { default: 'Hello from the terminal' }),
+                            body: await context.ask('Message', { multiline: true, validate: required('a message') })
+                        };
+                        return host.sendMail(message);
+                    }
+                });
+            }
+
+            registerCommand('hack', {
+                help: 'Initiate hacking sequence (easter egg)',
+                run: (args, stdin, context) => hackingSequence(context.signal)
+            });
+
+            registerCommand('jobs', {
+                help: 'List background jobs (start one by ending a command with &)',
+                run: () => {
+                    return jobs.map(job => `[${job.id}]${jobMarker(job)}  Running                 ${job.command}`).join('\n');
+                }
+            });
+
+            registerCommand('fg', {
+                help: 'Bring a background job to the foreground',
+                usage: 'fg [%job]',
+                complete: (words) => (words.length === 1 ? jobs.map(job => `%${job.id}`) : []),
+                run: async (args, stdin, context) => {
+                    const spec = args[0] || '%%';
+                    const job = findJob(spec);
+                    if (!job) {
+                        return fail(noSuchJob('fg', spec));
+                    }
+
+                    removeJob(job);
+                    job.foreground = true;
+                    if (context.write) context.write(job.command);
+
+                    // Ctrl+C now reaches the job through fg
+                    const abort = () => job.controller.abort();
+                    context.signal.addEventListener('abort', abort, { once: true });
+                    const result = await job.done;
+                    context.signal.removeEventListener('abort', abort);
+
+                    // The job's own failure was already printed (see createJob)
+                    if (!result) return fail('');
+                    // The job colored its output for the screen, which may now be a pipe
+                    const output = context.color ? result.output : Ansi.strip(result.output);
+                    return { output, error: result.errors.join('\n'), status: result.status };
+                }
+            });
+
+            registerCommand('kill', {
+                help: 'Stop background jobs',
+                usage: 'kill %job...',
+                complete: () => jobs.map(job => `%${job.id}`),
+                run: (args) => {
+                    if (!args.length) {
+                        return fail('kill: usage: kill %job...', 2);
+                    }
+
+                    const output = [];
+                    const errors = [];
+                    args.forEach(spec => {
+                        if (!spec.startsWith('%')) {
+                            errors.push(`kill: ${spec}: arguments must be job IDs`);
+                            return;
+                        }
+                        const job = findJob(spec);
+                        if (!job) {
+                            errors.push(noSuchJob('kill', spec));
+                            return;
+                        }
+                        output.push(`[${job.id}]${jobMarker(job)}  Terminated              ${job.command}`);
+                        removeJob(job);
+                        job.controller.abort();
+                    });
+
+                    return { output: output.join('\n'), error: errors.join('\n') || undefined, status: errors.length ? 1 : 0 };
+                }
+            });
+
+            // Filters
+            const FILTERS = 'Filters (read piped input or files)';
+
+            registerCommand('grep', {
+                help: 'Print matching lines\nPatterns are regular expressions; -i ignores case, -v inverts, -n numbers lines, -c counts.',
+                usage: 'grep [-i] [-v] [-n] [-c] pattern [file...]',
+                group: FILTERS,
+                complete: (words) => (words.length > 1 ? completePaths(words) : []),
+                run: async (args, stdin, context) => {
+                    const { flags, operands } = parseFlags(args, 'ivnc');
+                    const [pattern, ...files] = operands;
+                    if (pattern === undefined) {
+                        return fail('usage: grep [-i] [-v] [-n] [-c] pattern [file...]');
+                    }
+
+                    const input = files.length ? await readFiles('grep', files) : { output: stdin };
+                    const regex = createPattern(pattern, flags.i);
+                    const matches = splitLines(input.output)
+                        .map((line, i) => ({ line, number: i + 1 }))
+                        .filter(({ line }) => regex.test(line) !== Boolean(flags.v));
+
+                    // Like grep --color, matches are highlighted on screen
+                    const highlight = new RegExp(regex.source, `${regex.flags}g`);
+                    const show = (line) => {
+                        if (!context.color || flags.v) return line;
+                        return line.replace(highlight, match => (match ? Ansi.style(match, 'bold', 'red') : match));
+                    };
+                    const output = flags.c
+                        ? String(matches.length)
+                        : matches.map(({ line, number }) => (flags.n ? `${number}:${show(line)}` : show(line))).join('\n');
+                    return { output, error: input.error, status: matches.length ? 0 : 1 };
+                }
+            });
+
+            registerCommand('head', {
+                help: 'Print the first lines',
+                usage: 'head [-n count] [file...]',
+                group: FILTERS,
+                complete: completePaths,
+                run: (args, stdin) => sliceLines('head', args, stdin, (lines, count) => lines.slice(0, count))
+            });
+
+            registerCommand('tail', {
+                help: 'Print the last lines',
+                usage: 'tail [-n count] [file...]',
+                group: FILTERS,
+                complete: completePaths,
+                run: (args, stdin) => sliceLines('tail', args, stdin, (lines, count) => (count ? lines.slice(-count) : []))
+            });
+
+            registerCommand('wc', {
+                help: 'Count lines, words and characters',
+                usage: 'wc [-l] [-w] [-c] [file...]',
+                group: FILTERS,
+                complete: completePaths,
+                run: async (args, stdin) => {
+                    const { flags, operands } = parseFlags(args, 'lwc');
+                    const input = operands.length ? await readFiles('wc', operands) : { output: stdin };
+                    const text = input.output;
+                    const counts = {
+                        l: splitLines(text).length,
+                        w: text.split(/\s+/).filter(Boolean).length,
+                        c: text.length
+                    };
+                    const selected = ['l', 'w', 'c'].filter(flag => flags[flag]);
+                    const columns = (selected.length ? selected : ['l', 'w', 'c']).map(flag => counts[flag]);
+                    return { output: columns.map(count => String(count).padStart(7)).join(' '), error: input.error, status: input.status || 0 };
+                }
+            });
+
+            registerCommand('sort', {
+                help: 'Sort lines',
+                usage: 'sort [-r] [-n] [-u] [file...]',
+                group: FILTERS,
+                complete: completePaths,
+                run: async (args, stdin) => {
+                    const { flags, operands } = parseFlags(args, 'rnu');
+                    const input = operands.length ? await readFiles('sort', operands) : { output: stdin };
+                    let lines = splitLines(input.output);
+
+                    lines.sort(flags.n ? (a, b) => parseFloat(a) - parseFloat(b) : (a, b) => a.localeCompare(b));
+                    if (flags.r) lines.reverse();
+                    if (flags.u) lines = lines.filter((line, i) => i === 0 || line !== lines[i - 1]);
+
+                    return { output: lines.join('\n'), error: input.error, status: input.status || 0 };
+                }
+            });
+        }
+
+        // Shared by head and tail: accepts 'head 5', 'head -5' and 'head -n 5'
+        async function sliceLines(name, args, stdin, slice) {
+            let count = 10;
+            const files = [];
+
+            for (let i = 0; i < args.length; i++) {
+                const arg = args[i];
+                const value = arg === '-n' ? args[++i] : (/^-\d+$/.test(arg) ? arg.substring(1) : arg);
+                if (/^\d+$/.test(value) && !files.length) {
+                    count = parseInt(value, 10);
+                } else if (arg === '-n') {
+                    return fail(`${name}: invalid number of lines: '${value === undefined ? '' : value}'`);
+                } else {
+                    files.push(arg);
+                }
+            }
+
+            const input = files.length ? await readFiles(name, files) : { output: stdin };
+            return { output: slice(splitLines(input.output), count).join('\n'), error: input.error, status: input.status || 0 };
+        }
+
+        buildFileSystem();
+        registerBuiltinCommands();
+
+        return {
+            state,
+            registerCommand,
+            unregisterCommand,
+            findCommand,
+            executeCommand,
+            completeCommand,
+            getNode,
+            resolvePath,
+            jobs,
+            createJob,
+            removeJob,
+            setHistory,
+            recordHistory,
+            clearHistory,
+            expandHistory,
+            filterProjects,
+            blogPosts,
+            loadBlogIndex,
+            loadBlogPost
+        };
+    }
+
+    // Filesystem Nodes
+    function createDir(section = null) {
+        return { type: 'dir', section, children: {} };
+    }
+
+    function createFile(read) {
+        return { type: 'file', read };
+    }
+
+    function listDirectory(dir) {
+        return Object.entries(dir.children).map(([name, child]) => {
+            return child.type === 'dir' ? `${name}/` : name;
+        });
+    }
+
+    function renderTree(node, label) {
+        const lines = [label];
+        let dirCount = 0;
+        let fileCount = 0;
+
+        function walk(dir, indent) {
+            const entries = Object.entries(dir.children);
+            entries.forEach(([name, child], i) => {
+                const last = i === entries.length - 1;
+                lines.push(`${indent}${last ? '└── ' : '├── '}${name}`);
+                if (child.type === 'dir') {
+                    dirCount++;
+                    walk(child, indent + (last ? '    ' : '│   '));
+                } else {
+                    fileCount++;
+                }
+            });
+        }
+
+        if (node.type === 'dir') {
+            walk(node, '');
+        }
+        lines.push('', `${dirCount} directories, ${fileCount} files`);
+        return lines.join('\n');
+    }
+
+    // Command Results
+    function fail(error, status = 1) {
+        return { output: '', error, status };
+    }
+
+    function normalizeResult(result) {
+        if (result === undefined || result === null) {
+            return { output: '', status: 0 };
+        }
+        if (typeof result === 'object') {
+            return { output: result.output || '', error: result.error, status: result.status || 0 };
+        }
+        return { output: String(result), status: 0 };
+    }
+
+    function isAsyncIterable(value) {
+        return Boolean(value) && typeof value[Symbol.asyncIterator] === 'function';
+    }
+
+    // Lines from a streaming command go straight to the screen when it's the last stage
+    // of a pipeline; inside a pipe they are collected for the next command
+    async function drainLines(name, lines, context) {
+        const collected = [];
+        try {
+            for await (const line of lines) {
+                if (context.signal.aborted) break;
+                if (context.write && !context.piped) {
+                    context.write(String(line), { stream: true });
+                } else {
+                    collected.push(String(line));
+                }
+            }
+        } catch (err) {
+            if (context.signal.aborted) return fail('', 130);
+            return { output: collected.join('\n'), error: `${name}: ${err.message}`, status: 1 };
+        }
+        return context.signal.aborted ? fail('', 130) : collected.join('\n');
+    }
+
+    function noSuchJob(name, spec) {
+        return `${name}: ${spec === '%%' ? 'current' : spec}: no such job`;
+    }
+
+    // Quote words so a job's command line reads back the way it was typed
+    function formatPipeline(pipeline) {
+        return pipeline.map(argv => argv.map(quoteWord).join(' ')).join(' | ');
+    }
+
+    function quoteWord(word) {
+        return /^[\w@%+=:,./-]+$/.test(word) ? word : `'${word.replace(/'/g, "'\\''")}'`;
+    }
+
+    // Resolves after ms, or rejects with an AbortError once the signal fires
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    function splitLines(text) {
+        return text === '' ? [] : text.split('\n');
+    }
+
+    // Split single-letter flags (bundled as -in or separate) from operands
+    function parseFlags(args, allowed) {
+        const flags = {};
+        const operands = [];
+
+        args.forEach(arg => {
+            if (/^-[a-z]+$/i.test(arg) && [...arg.substring(1)].every(flag => allowed.includes(flag))) {
+                [...arg.substring(1)].forEach(flag => { flags[flag] = true; });
+            } else {
+                operands.push(arg);
+            }
+        });
+
+        return { flags, operands };
+    }
+
+    // Split long options taking a value ('--tag x' or '--tag=x') from operands
+    function parseOptions(args, names) {
+        const options = {};
+        const operands = [];
+
+        for (let i = 0; i < args.length; i++) {
+            const option = args[i].match(/^--([\w-]+)(?:=(.*))?$/);
+            if (option && names.includes(option[1])) {
+                options[option[1]] = option[2] !== undefined ? option[2] : args[++i];
+            } else {
+                operands.push(args[i]);
+            }
+        }
+
+        return { options, operands };
+    }
+
+    // Patterns are regular expressions, falling back to plain text when they don't compile
+    function createPattern(pattern, ignoreCase) {
+        const flags = ignoreCase ? 'i' : '';
+        try {
+            return new RegExp(pattern, flags);
+        } catch (err) {
+            return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+        }
+    }
+
+    // Align rows of cells in columns separated by two spaces; the last column isn't
+    // padded. Widths ignore color codes. align gives 'right' for columns to right-align.
+    function formatTable(rows, { align = [], indent = '' } = {}) {
+        const widths = [];
+        rows.forEach(row => row.forEach((cell, column) => {
+            widths[column] = Math.max(widths[column] || 0, Ansi.strip(cell).length);
+        }));
+
+        return rows.map(row => indent + row.map((cell, column) => {
+            const padding = ' '.repeat(widths[column] - Ansi.strip(cell).length);
+            if (align[column] === 'right') return padding + cell;
+            return column === row.length - 1 ? cell : cell + padding;
+        }).join('  ')).join('\n');
+    }
+
+    // A mailto: link prefilled with a message from 'mail', signed by its sender
+    function mailtoUrl(to, { name, email, subject, body }) {
+        const address = encodeURIComponent(to).replace(/%40/g, '@');
+        return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(`${body}\n\n${name} <${email}>`)}`;
+    }
+
+    function formatPostDate(date) {
+        return date.replace(/-/g, '.');
+    }
+
+    // Command Parser
+    // Tokenizes a command line the way a POSIX shell would: whitespace splits words,
+    // single quotes are literal, double quotes allow \" and \\, a backslash escapes
+    // the next character, and ';', '&', '&&' and '|' are operators outside of quotes.
+    function tokenize(input) {
+        const tokens = [];
+        let word = '';
+        let inWord = false;
+        let i = 0;
+
+        function endWord() {
+            if (inWord) {
+                tokens.push({ type: 'word', value: word });
+                word = '';
+                inWord = false;
+            }
+        }
+
+        while (i < input.length) {
+            const char = input[i];
+
+            if (/\s/.test(char)) {
+                endWord();
+                i++;
+            } else if (char === ';' || char === '|' || char === '&') {
+                endWord();
+                const op = input.startsWith('&&', i) ? '&&' : char;
+                tokens.push({ type: 'op', value: op });
+                i += op.length;
+            } else if (char === "'") {
+                const end = input.indexOf("'", i + 1);
+                if (end === -1) throw new SyntaxError('syntax error: unterminated quoted string');
+                word += input.substring(i + 1, end);
+                inWord = true;
+                i = end + 1;
+            } else if (char === '"') {
+                i++;
+                while (i < input.length && input[i] !== '"') {
+                    if (input[i] === '\\' && /["\\$`]/.test(input[i + 1] || '')) i++;
+                    word += input[i++];
+                }
+                if (i >= input.length) throw new SyntaxError('syntax error: unterminated quoted string');
+                inWord = true;
+                i++;
+            } else if (char === '\\') {
+                if (i + 1 < input.length) word += input[i + 1];
+                inWord = true;
+                i += 2;
+            } else {
+                word += char;
+                inWord = true;
+                i++;
+            }
+        }
+
+        endWord();
+        return tokens;
+    }
+
+    // Group tokens into pipelines joined by ';' or '&&'. A pipeline followed by '&'
+    // is marked to run in the background.
+    function parseCommandLine(input) {
+        const list = [];
+        let pipeline = [];
+        let argv = [];
+        let connector = ';';
+
+        function unexpected(token) {
+            return new SyntaxError(`syntax error near unexpected token '${token}'`);
+        }
+
+        tokenize(input).forEach(token => {
+            if (token.type === 'word') {
+                argv.push(token.value);
+                return;
+            }
+            if (!argv.length) throw unexpected(token.value);
+
+            pipeline.push(argv);
+            argv = [];
+            if (token.value !== '|') {
+                list.push({ pipeline, connector, background: token.value === '&' });
+                pipeline = [];
+                connector = token.value === '&' ? ';' : token.value;
+            }
+        });
+
+        if (argv.length) {
+            pipeline.push(argv);
+        } else if (pipeline.length || connector === '&&') {
+            // A trailing '|' or '&&' has nothing to feed
+            throw unexpected('newline');
+        }
+        if (pipeline.length) {
+            list.push({ pipeline, connector, background: false });
+        }
+
+        return list;
+    }
+
+    const TerminalCore = {
+        createTerminal,
+        parseCommandLine,
+        fail,
+        sleep,
+        quoteWord,
+        parseFlags,
+        parseOptions,
+        splitLines,
+        formatTable,
+        formatPostDate,
+        mailtoUrl
+    };
+
+    // Shared with the Node CLI (bin/terminal)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TerminalCore;
+    } else {
+        window.TerminalCore = TerminalCore;
+    }
+
+})();
@@ -5,9 +5,27 @@
     // Terminal State
     const state = {
         currentSection: 'home',
-        commandHistory: [],
         historyIndex: -1,
-        typingInProgress: false
+        reverseSearch: null,
+        ask: null,
+        lastCompletion: null,
+        pager: null,
+        top: null,
+        recording: null,
+        lastCast: null,
+        replay: null,
+        projectTag: null,
+        theme: null,
+        themePreview: null,
+        serviceWorker: null,
+        installPrompt: null,
+        updateAnnounced: false,
+        updateRequested: false,
+        halted: false,
+        foregroundJob: null,
+        busyFrame: 0,
+        busyTimer: null,
+        mailSync: false
     };
 
     // DOM Elements
@@ -17,38 +35,45 @@
         menuToggle: document.querySelector('.menu-toggle'),
         navMenu: document.querySelector('.nav-menu'),
         terminalInput: document.getElementById('terminal-input'),
+        prompt: document.querySelector('.terminal-input-wrapper .prompt'),
         typingText: document.querySelector('.typing-text'),
         outputLines: document.querySelectorAll('.output-line'),
         clock: document.getElementById('clock'),
+        statusNetwork: document.getElementById('status-network'),
+        statusMemory: document.getElementById('status-memory'),
+        statusFps: document.getElementById('status-fps'),
+        statusWorker: document.getElementById('status-worker'),
         quickButtons: document.querySelectorAll('.terminal-btn[data-action]'),
-        matrixCanvas: document.getElementById('matrix-bg')
+        matrixCanvas: document.getElementById('matrix-bg'),
+        dock: document.querySelector('.terminal-dock')
     };
 
     // Initialize
     function init() {
+        loadThemes();
+        loadSoundSettings();
         setupEventListeners();
         startClock();
-        initTypingAnimation();
         initMatrixRain();
-        setupTerminalCommands();
+        startMetrics();
+        loadHistory();
+        updatePrompt();
         animateBootSequence();
         setupMobileMenu();
+        setupWindowControls();
         setupQuickAccess();
         setupNavigation();
-        setupKeyboardShortcuts();
+        setupRouter();
+        setupProjects();
+        setupBlog();
+        setupKeybindings();
+        setupServiceWorker();
+        setupMail();
+        setupInstall();
     }
 
     // Event Listeners
     function setupEventListeners() {
-        // Navigation
-        elements.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const target = link.getAttribute('href').substring(1);
-                navigateToSection(target);
-            });
-        });
-
         // Terminal Input
         if (elements.terminalInput) {
             elements.terminalInput.addEventListener('keydown', handleTerminalInput);
@@ -56,7 +81,7 @@
     }
 
     // Navigation System
-    function navigateToSection(sectionId) {
+    function navigateToSection(sectionId, { updateUrl = true } = {}) {
         // Hide all sections
         elements.sections.forEach(section => {
             section.classList.remove('active');
@@ -68,538 +93,3242 @@
             targetSection.classList.add('active');
             state.currentSection = sectionId;
 
+            // Keep the shell's working directory in sync with the visible section
+            const dirPath = sectionId === shell.getNode('/').section ? '/' : `/${sectionId}`;
+            if (shell.getNode(dirPath)) {
+                shell.state.cwd = dirPath;
+                updatePrompt();
+            }
+
             // Update nav links
             elements.navLinks.forEach(link => {
                 link.classList.remove('active');
-                if (link.getAttribute('href') === `#${sectionId}`) {
+                if (parseRoute(link.getAttribute('href')).section === sectionId) {
                     link.classList.add('active');
                 }
             });
 
+            if (updateUrl) {
+                pushRoute({ section: sectionId });
+            }
+
             // Play navigation sound effect (optional)
             playSound('nav');
         }
     }
 
-    // Terminal Commands
-    function setupTerminalCommands() {
-        const commands = {
-            help: () => {
-                return `
-Available commands:
-  help     - Show this help message
-  ls       - List available sections
-  cd       - Navigate to section (e.g., cd about)
-  clear    - Clear terminal output (also: cls, Ctrl+L)
-  whoami   - Display user information
-  skills   - Show technical skills
-  contact  - Display contact information
-  matrix   - Toggle matrix effect
-  theme    - Change terminal theme
-  hack     - Initiate hacking sequence (easter egg)
-                `.trim();
-            },
-            ls: () => {
-                return 'home/  about/  projects/  blog/  contact/';
-            },
-            cd: (args) => {
-                const section = args[0];
-                if (['home', 'about', 'projects', 'blog', 'contact'].includes(section)) {
-                    navigateToSection(section);
-                    return `Navigating to ${section}...`;
-                }
-                return `Error: ${section}: No such directory`;
-            },
-            clear: () => {
-                const output = document.getElementById('output');
-                if (output) {
-                    // Keep initial boot sequence output, only clear command outputs
-                    const commandOutputs = output.querySelectorAll('.terminal-output-line');
-                    commandOutputs.forEach(line => line.remove());
-                }
-                return ''; // Return empty string so no new line is added
-            },
-            cls: () => {
-                // Alias for Windows users
-                return commands.clear();
-            },
-            whoami: () => {
-                return 'Lev Kozhokaru - Software Engineer | Dev Tools Creator | AI Integration Specialist';
-            },
-            skills: () => {
-                return `
-Languages: JavaScript, Python, TypeScript
-AI/ML: Claude, GPT, Custom LLM Orchestration
-Tools: React, Node.js, Docker, AWS
-Focus: Building dev tools that actually work
-                `.trim();
-            },
-            contact: () => {
-                return `
-GitHub: https://github.com/kozhokaru
-LinkedIn: https://linkedin.com/in/levkoz
-                `.trim();
-            },
-            matrix: () => {
-                toggleMatrixEffect();
-                return 'Matrix effect toggled';
-            },
-            theme: (args) => {
-                const theme = args[0] || 'default';
-                changeTheme(theme);
-                return `Theme changed to: ${theme}`;
-            },
-            hack: () => {
-                initiateHackingSequence();
-                return 'INITIATING HACK SEQUENCE...';
+    // Router
+    // The visible view lives in the URL hash as #/section or #/blog/post-id, so views
+    // can be shared and Back/Forward walk through them. Legacy #section links still resolve.
+    // Prerendered pages (scripts/build.js) name their view in <body data-route>, which
+    // applies until the hash says otherwise. #/replay?src=demo.cast&speed=2 plays a
+    // recorded session on the home section (see Session Replay).
+    function parseRoute(hash) {
+        const [path, query] = hash.replace(/^#?\/?/, '').split('?');
+        if (path === 'replay') {
+            const params = new URLSearchParams(query);
+            if (params.get('src')) {
+                return { section: 'home', post: null, replay: { src: params.get('src'), speed: params.get('speed') } };
             }
-        };
+        }
 
-        window.executeCommand = (input) => {
-            const [cmd, ...args] = input.trim().toLowerCase().split(' ');
-            if (commands[cmd]) {
-                return commands[cmd](args);
-            }
-            return `Command not found: ${cmd}. Type 'help' for available commands.`;
+        const [section, post] = path.split('/').filter(Boolean).map(decodeURIComponent);
+        const valid = section && document.getElementById(section) && document.getElementById(section).classList.contains('terminal-section');
+        return {
+            section: valid ? section : 'home',
+            post: valid && section === 'blog' && post ? post : null
         };
     }
 
-    // Terminal Input Handler
-    function handleTerminalInput(e) {
-        if (e.key === 'Enter') {
-            const input = e.target.value.trim();
-            if (input) {
-                const output = window.executeCommand(input);
-                displayOutput(output);
-                state.commandHistory.push(input);
-                state.historyIndex = state.commandHistory.length;
-                e.target.value = '';
-            }
-        } else if (e.key === 'ArrowUp') {
-            e.preventDefault();
-            if (state.historyIndex > 0) {
-                state.historyIndex--;
-                e.target.value = state.commandHistory[state.historyIndex];
-            }
-        } else if (e.key === 'ArrowDown') {
-            e.preventDefault();
-            if (state.historyIndex < state.commandHistory.length - 1) {
-                state.historyIndex++;
-                e.target.value = state.commandHistory[state.historyIndex];
-            } else {
-                state.historyIndex = state.commandHistory.length;
-                e.target.value = '';
-            }
-        }
+    function currentRoute() {
+        return parseRoute(location.hash || document.body.dataset.route || '');
     }
 
-    // Display Output
-    function displayOutput(text) {
-        const outputPre = document.createElement('pre');
-        outputPre.className = 'terminal-output-line';
-        outputPre.style.cssText = 'color: var(--text-primary); margin: 0.5rem 0; font-family: var(--font-mono); white-space: pre-wrap; word-wrap: break-word;';
-        outputPre.textContent = text;
-        
-        const outputContainer = document.getElementById('output');
-        if (outputContainer) {
-            outputContainer.appendChild(outputPre);
-            outputContainer.scrollTop = outputContainer.scrollHeight;
-        }
+    function routeToUrl({ section, post }) {
+        if (post) return `#/${section}/${encodeURIComponent(post)}`;
+        if (section === 'home') return document.body.dataset.route ? '#/' : location.pathname + location.search;
+        return `#/${section}`;
     }
 
-    // Typing Animation
-    function initTypingAnimation() {
-        if (!elements.typingText) return;
+    function pushRoute(route) {
+        const current = currentRoute();
+        if (current.section === route.section && current.post === (route.post || null)) return;
+        history.pushState(null, '', routeToUrl(route));
+    }
 
-        const text = elements.typingText.dataset.text;
-        let index = 0;
+    // Make the page match a route without touching the URL
+    function applyRoute(route) {
+        navigateToSection(route.section, { updateUrl: false });
 
-        function type() {
-            if (index < text.length) {
-                elements.typingText.textContent = text.substring(0, index + 1);
-                index++;
-                setTimeout(type, 100);
-            } else {
-                // Wait a bit after typing completes before showing output
-                setTimeout(() => {
-                    elements.outputLines.forEach((line, i) => {
-                        setTimeout(() => {
-                            line.classList.remove('hidden');
-                        }, i * 500);
-                    });
-                }, 200);  // Reduced from 500ms since CSS now handles the main delay
+        document.querySelectorAll('.blog-entry.expanded').forEach(entry => {
+            if (entry.dataset.post !== route.post) {
+                window.toggleBlogPost(entry.dataset.post, { updateUrl: false });
             }
+        });
+
+        const entry = route.post && postEntry(route.post);
+        if (entry && !entry.classList.contains('expanded')) {
+            window.toggleBlogPost(route.post, { updateUrl: false });
         }
 
-        setTimeout(type, 1000);
+        // Played like a typed command line, unless one is running
+        if (route.replay && !state.foregroundJob) {
+            const speed = route.replay.speed ? ` --speed ${quoteWord(route.replay.speed)}` : '';
+            const line = `replay${speed} ${quoteWord(route.replay.src)}`;
+            echoCommand(line);
+            runForegroundJob(line);
+        }
     }
 
-    // Boot Sequence Animation
-    function animateBootSequence() {
-        const bootMessages = [
-            'INITIALIZING SYSTEM...',
-            'LOADING KERNEL MODULES...',
-            'MOUNTING FILE SYSTEMS...',
-            'STARTING NETWORK SERVICES...',
-            'LOADING USER PROFILE...',
-            'SYSTEM READY'
-        ];
-
-        // You can implement a boot sequence animation here
-    }
+    function setupRouter() {
+        const route = currentRoute();
 
-    // Clock
-    function startClock() {
-        function updateClock() {
-            const now = new Date();
-            const time = now.toTimeString().split(' ')[0];
-            if (elements.clock) {
-                elements.clock.textContent = time;
-            }
+        // Canonicalize legacy or unknown hashes without adding a history entry
+        if (location.hash && !route.replay && routeToUrl(route) !== location.hash) {
+            history.replaceState(null, '', routeToUrl(route));
         }
+        applyRoute(route);
 
-        updateClock();
-        setInterval(updateClock, 1000);
+        window.addEventListener('popstate', () => {
+            applyRoute(currentRoute());
+        });
     }
 
-    // Matrix Rain Effect
-    function initMatrixRain() {
-        const canvas = elements.matrixCanvas;
-        if (!canvas) return;
+    // Shell
+    // Commands, the filesystem and the site's content live in terminal-core.js, shared
+    // with the Node CLI (bin/terminal). This is the shell's browser host: the page
+    // supplies the sections, and output, navigation and the pager happen here.
+    const shell = TerminalCore.createTerminal({
+        sections: Array.from(elements.sections, section => {
+            const title = section.querySelector('.section-title');
+            return {
+                id: section.id,
+                title: title ? title.textContent.replace('►', '').trim() : null,
+                read: () => {
+                    const pre = section.querySelector('pre');
+                    return pre ? pre.textContent.trim() : '';
+                }
+            };
+        }),
+        projects: Projects,
+        fetchFile: (path) => {
+            return fetch(`/${path}`).then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.text();
+            });
+        },
+        createWriter: createOutputWriter,
+        print: (text) => displayOutput(text),
+        changeDirectory: (dir) => {
+            updatePrompt();
+            if (dir.section) navigateToSection(dir.section);
+        },
+        showPost,
+        commandNotFound: () => playSound('error'),
+        saveHistory,
+        colors: true,
+        ask: askInput,
+        // The shell's mail command needs to know where messages go (see Mail)
+        sendMail: Object.values(mailSettings()).some(Boolean) ? sendMail : undefined
+    });
 
-        const ctx = canvas.getContext('2d');
-        canvas.width = window.innerWidth;
-        canvas.height = window.innerHeight;
+    const { fail, sleep, quoteWord, formatTable, formatPostDate } = TerminalCore;
+    const { registerCommand, blogPosts, loadBlogIndex, loadBlogPost } = shell;
 
-        const matrix = '01';
-        const matrixArray = matrix.split('');
-        const fontSize = 10;
-        const columns = canvas.width / fontSize;
-        const drops = [];
+    // Show the working directory in the input prompt; home is the root, shown as ~.
+    // A spinner takes the place of the $ while a foreground job runs.
+    function updatePrompt() {
+        if (!elements.prompt) return;
+        if (state.ask) {
+            elements.prompt.textContent = state.ask.question;
+            return;
+        }
+        const marker = state.foregroundJob ? BUSY_FRAMES[state.busyFrame % BUSY_FRAMES.length] : '$';
+        elements.prompt.textContent = `~${shell.state.cwd === '/' ? '' : shell.state.cwd} ${marker}`;
+    }
 
-        for (let i = 0; i < columns; i++) {
-            drops[i] = Math.random() * -100;
+    // Browser Commands
+    // The shell's own commands are registered by terminal-core.js; these need the page
+    function registerBrowserCommands() {
+        // Stands in for the shell's mail command on a site that hasn't said where messages go,
+        // kept out of 'help' as it can only fail
+        if (!shell.findCommand('mail')) {
+            registerCommand('mail', {
+                help: 'Send Lev a message (not configured on this site)',
+                hidden: true,
+                run: () => fail('mail: not configured; the site sets <meta name="mail-to"> or <meta name="mail-endpoint"> in index.html')
+            });
         }
 
-        function drawMatrix() {
-            ctx.fillStyle = 'rgba(10, 14, 39, 0.05)';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        registerCommand('search', {
+            help: 'Search the sections and blog posts (e.g., search service workers)\nClick a result to jump to it. Piped, results are plain path: line pairs.',
+            usage: 'search <text>',
+            run: async (args, stdin, context) => {
+                const query = args.join(' ').trim();
+                if (!query) {
+                    return fail('usage: search <text>');
+                }
+
+                let documents;
+                try {
+                    documents = await loadSearchIndex();
+                } catch (err) {
+                    return fail(`search: could not load posts (${err.message})`);
+                }
+
+                const results = searchDocuments(documents, query);
+                if (!results.length) {
+                    return fail(`search: no matches for "${query}"`);
+                }
 
-            ctx.fillStyle = '#00ff41';
-            ctx.font = fontSize + 'px monospace';
+                if (context.piped) {
+                    return results.map(({ doc, hits }) => hits.map(offset => {
+                        const { before, match, after } = hitContext(doc.text, offset, query.length);
+                        return `${doc.path}: ${before}${match}${after}`;
+                    }).join('\n')).join('\n');
+                }
 
-            for (let i = 0; i < drops.length; i++) {
-                const text = matrixArray[Math.floor(Math.random() * matrixArray.length)];
-                ctx.fillText(text, i * fontSize, drops[i] * fontSize);
+                displayOutput(renderSearchResults(results, query), { html: true });
+                return '';
+            }
+        });
 
-                if (drops[i] * fontSize > canvas.height && Math.random() > 0.975) {
-                    drops[i] = 0;
+        registerCommand('reload', {
+            help: 'Reload the page, installing a pending update',
+            run: () => {
+                const waiting = state.serviceWorker && state.serviceWorker.waiting;
+                if (waiting) {
+                    // The page reloads once the new worker takes control (see setupServiceWorker)
+                    state.updateRequested = true;
+                    waiting.postMessage({ type: 'SKIP_WAITING' });
+                    return 'Installing update...';
                 }
-                drops[i]++;
+                location.reload();
+                return 'Reloading...';
             }
-        }
+        });
 
-        setInterval(drawMatrix, 35);
+        registerCommand('install', {
+            help: 'Install this terminal as an app',
+            run: async () => {
+                if (isStandalone()) {
+                    return 'Already running as an installed app.';
+                }
+                if (!state.installPrompt) {
+                    return fail("install: not available here. Try your browser's 'Install app' or 'Add to Home Screen' menu item.");
+                }
 
-        // Resize handler
-        window.addEventListener('resize', () => {
-            canvas.width = window.innerWidth;
-            canvas.height = window.innerHeight;
+                // The saved prompt can only be shown once
+                const installPrompt = state.installPrompt;
+                state.installPrompt = null;
+                installPrompt.prompt();
+                const choice = await installPrompt.userChoice;
+                return choice.outcome === 'accepted' ? 'Installing...' : 'Install cancelled.';
+            }
         });
-    }
 
-    // Mobile Menu
-    function setupMobileMenu() {
-        if (elements.menuToggle && elements.navMenu) {
-            elements.menuToggle.addEventListener('click', () => {
-                elements.navMenu.classList.toggle('active');
-                const isOpen = elements.navMenu.classList.contains('active');
-                elements.menuToggle.setAttribute('aria-expanded', isOpen);
-            });
+        registerCommand('clear', {
+            help: 'Clear terminal output (also: Ctrl+L)',
+            aliases: ['cls'],
+            run: () => {
+                clearOutput();
+                return ''; // Return empty string so no new line is added
+            }
+        });
 
-            // Close menu when clicking outside
-            document.addEventListener('click', (e) => {
-                if (!elements.menuToggle.contains(e.target) && !elements.navMenu.contains(e.target)) {
-                    elements.navMenu.classList.remove('active');
-                    elements.menuToggle.setAttribute('aria-expanded', 'false');
+        registerCommand('reboot', {
+            help: 'Replay the boot sequence (any key skips it)',
+            run: async (args, stdin, context) => {
+                clearOutput();
+                await playBootSequence(context.signal);
+                return '';
+            }
+        });
+
+        registerCommand('exit', {
+            help: 'Shut down the terminal (any key boots it again)',
+            aliases: ['shutdown'],
+            run: async (args, stdin, context) => {
+                await shutdown(context.signal);
+                return '';
+            }
+        });
+
+        registerCommand('fullscreen', {
+            help: 'Toggle fullscreen (also: the □ button)',
+            run: async () => {
+                try {
+                    return await toggleFullscreen() ? 'Fullscreen on (Esc or fullscreen again to leave)' : 'Fullscreen off';
+                } catch (err) {
+                    return fail(`fullscreen: ${err.message}`);
                 }
-            });
-        }
-    }
+            }
+        });
 
-    // Quick Access Buttons
-    function setupQuickAccess() {
-        elements.quickButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const action = button.dataset.action;
-                navigateToSection(action);
-            });
+        registerCommand('matrix', {
+            help: 'Toggle matrix rain\nSettings are remembered:\n  matrix on|off\n  matrix speed 2\n  matrix density 0.5\n  matrix charset binary|katakana|custom "ABC"',
+            usage: 'matrix [on|off] | speed <0.1-10> | density <0-1> | charset binary|katakana|custom "chars"',
+            complete: (words) => {
+                if (words.length === 1) return Object.keys(matrixCommands);
+                if (words[0] === 'charset' && words.length === 2) return Object.keys(MATRIX_CHARSETS).concat('custom');
+                return [];
+            },
+            run: (args) => {
+                const [subcommand, ...rest] = args;
+                if (!subcommand) {
+                    return setMatrixEnabled(!matrix.settings.enabled);
+                }
+                if (!Object.prototype.hasOwnProperty.call(matrixCommands, subcommand)) {
+                    return fail(`matrix: unknown subcommand '${subcommand}'. Usage: matrix [on|off] | speed <n> | density <0-1> | charset binary|katakana|custom "chars"`);
+                }
+                return matrixCommands[subcommand](rest);
+            }
         });
-    }
 
-    // Setup Navigation
-    function setupNavigation() {
-        // Smooth scroll for anchor links
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function(e) {
-                e.preventDefault();
-                const target = this.getAttribute('href').substring(1);
-                if (target) {
-                    navigateToSection(target);
+        registerCommand('theme', {
+            help: 'Change terminal theme\n' +
+                'Themes are remembered; with none chosen the system color scheme decides.\n' +
+                '  theme list                         list themes\n' +
+                '  theme preview <name>               try a theme until the next key press\n' +
+                '  theme set --text-primary #ff00ff   change a color of the current theme\n' +
+                '  theme save <name>                  save the current colors as a theme\n' +
+                '  theme export | theme import        copy themes as JSON',
+            usage: 'theme [<name> | list | preview <name> | set --variable value... | save <name> | rm <name> | export [name] | import <json> | auto]',
+            complete: (words) => {
+                if (words.length === 1) return Object.keys(themeCommands).concat(themeNames());
+                if (['preview', 'export'].includes(words[0]) && words.length === 2) return themeNames();
+                if (words[0] === 'rm' && words.length === 2) return Object.keys(customThemes);
+                if (words[0] === 'set' && words.length % 2 === 0) return THEME_VARIABLES;
+                return [];
+            },
+            run: (args, stdin) => {
+                const [name, ...rest] = args;
+                if (!name) {
+                    const modified = Object.keys(state.theme.overrides).length ? ' (modified)' : '';
+                    return `Current theme: ${state.theme.name}${modified}${state.theme.auto ? ' (following system)' : ''}\n` +
+                        'Usage: theme <name> | list | preview <name> | set --variable value | save <name> | rm <name> | export [name] | import <json> | auto';
                 }
-            });
+                if (Object.prototype.hasOwnProperty.call(themeCommands, name)) {
+                    return themeCommands[name](rest, stdin);
+                }
+                if (!findTheme(name)) {
+                    return fail(`theme: ${name}: no such theme (see theme list)`);
+                }
+                changeTheme(name);
+                return `Theme changed to: ${name}`;
+            }
         });
-    }
 
-    // Keyboard Shortcuts
-    function setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // ESC key to go home
-            if (e.key === 'Escape') {
-                navigateToSection('home');
+        registerCommand('sound', {
+            help: 'Sound effects, muted by default (sound on|off, volume 0.3, test)',
+            usage: 'sound [on | off | volume <0-1> | test]',
+            complete: (words) => (words.length === 1 ? Object.keys(soundCommands) : []),
+            run: (args, stdin, context) => {
+                const [subcommand, ...rest] = args;
+                if (!subcommand) {
+                    return `Sound: ${sound.settings.enabled ? 'on' : 'off'} (volume ${sound.settings.volume})`;
+                }
+                if (!Object.prototype.hasOwnProperty.call(soundCommands, subcommand)) {
+                    return fail(`sound: unknown subcommand '${subcommand}'. Usage: sound [on | off | volume <0-1> | test]`);
+                }
+                return soundCommands[subcommand](rest, context.signal);
             }
+        });
 
-            // Ctrl/Cmd + K to focus terminal input
-            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-                e.preventDefault();
-                if (elements.terminalInput) {
-                    elements.terminalInput.focus();
+        registerCommand('top', {
+            help: 'Show live system metrics until you press q\nHeap, matrix frame rate, network, service worker and cache. Piped or in the background, prints one sample.',
+            run: (args, stdin, context) => {
+                if (context.piped || context.background || !context.write) {
+                    return formatMetrics(metrics.current);
                 }
+                return runTop(context.signal);
             }
+        });
 
-            // Ctrl + L to clear terminal (standard terminal shortcut)
-            if (e.ctrlKey && e.key === 'l') {
-                e.preventDefault();
-                const output = document.getElementById('output');
-                if (output) {
-                    const commandOutputs = output.querySelectorAll('.terminal-output-line');
-                    commandOutputs.forEach(line => line.remove());
+        registerCommand('script', {
+            help: "Record the session as an asciicast file\n'script start' records every line entered and everything shown until 'script stop', which saves it as a .cast file.",
+            usage: 'script [start | stop]',
+            complete: (words) => (words.length === 1 ? Object.keys(scriptCommands) : []),
+            run: (args) => {
+                const [subcommand] = args;
+                if (!subcommand) {
+                    return state.recording
+                        ? `Recording for ${formatClock(state.recording.duration())}. Type 'script stop' to save it.`
+                        : "Not recording. Type 'script start' to start.";
                 }
+                if (!Object.prototype.hasOwnProperty.call(scriptCommands, subcommand)) {
+                    return fail(`script: unknown subcommand '${subcommand}'. Usage: script [start | stop]`);
+                }
+                return scriptCommands[subcommand]();
             }
+        });
+
+        registerCommand('replay', {
+            help: 'Play back a recorded session (an asciicast .cast file)\n' +
+                'Without a file, plays the last recording made with script. Space pauses, arrows seek,\n' +
+                '+/- change the speed and q quits. #/replay?src=<file> links play a file on opening.\n' +
+                'Piped or in the background, prints the screen the session ended with.',
+            usage: 'replay [--speed <n>] [file]',
+            run: async (args, stdin, context) => {
+                const { options, operands } = TerminalCore.parseOptions(args, ['speed']);
+                const speed = options.speed === undefined ? 1 : Number(options.speed);
+                if (!(speed > 0)) {
+                    return fail(`replay: invalid speed '${options.speed}'`);
+                }
 
-            // Number keys for quick navigation
-            if (!e.ctrlKey && !e.metaKey && !e.altKey) {
-                switch(e.key) {
-                    case '1': navigateToSection('home'); break;
-                    case '2': navigateToSection('about'); break;
-                    case '3': navigateToSection('projects'); break;
-                    case '4': navigateToSection('blog'); break;
-                    case '5': navigateToSection('contact'); break;
+                const [src] = operands;
+                let text = state.lastCast;
+                if (src) {
+                    try {
+                        text = await fetchCast(src);
+                    } catch (err) {
+                        return fail(`replay: ${src}: ${err.message}`);
+                    }
+                } else if (!text) {
+                    return fail("replay: nothing recorded yet; give a .cast file or record one with 'script start'");
                 }
+
+                let cast;
+                try {
+                    cast = Asciicast.parse(text);
+                } catch (err) {
+                    return fail(`replay: ${src || 'last recording'}: ${err.message}`);
+                }
+
+                if (context.piped || context.background || !context.write) {
+                    const data = Asciicast.outputFrames(cast).map(frame => frame.data).join('');
+                    return Ansi.strip(Asciicast.screenText(data)).trimEnd();
+                }
+                return playCast(cast, speed, context.signal);
             }
         });
-    }
 
-    // Toggle Matrix Effect
-    function toggleMatrixEffect() {
-        const canvas = elements.matrixCanvas;
-        if (canvas) {
-            canvas.style.display = canvas.style.display === 'none' ? 'block' : 'none';
-        }
-    }
+        registerCommand('keys', {
+            help: 'List the keyboard shortcuts, by where they work',
+            usage: 'keys [input | paging | replay | global | user]',
+            complete: (words) => (words.length === 1 ? Object.keys(KEY_CONTEXTS) : []),
+            run: (args) => {
+                const unknown = args.find(context => !Object.prototype.hasOwnProperty.call(KEY_CONTEXTS, context));
+                if (unknown) {
+                    return fail(`keys: unknown context '${unknown}'. Usage: keys [input | paging | replay | global | user]`);
+                }
+                return (args.length ? args : Object.keys(KEY_CONTEXTS)).map(formatKeymap).join('\n\n');
+            }
+        });
 
-    // Change Theme
-    function changeTheme(theme) {
-        const themes = {
-            default: {
-                '--text-primary': '#00ff41',
-                '--accent-cyan': '#00d9ff',
-                '--bg-primary': '#0a0e27'
-            },
-            amber: {
-                '--text-primary': '#ffb000',
-                '--accent-cyan': '#ff6b00',
-                '--bg-primary': '#1a0f00'
-            },
-            ice: {
-                '--text-primary': '#00ffff',
-                '--accent-cyan': '#0080ff',
-                '--bg-primary': '#000033'
+        registerCommand('bind', {
+            help: 'Bind a key to a command line (e.g., bind ctrl+g "cd blog")\n' +
+                'Bindings are remembered, and work in the input and anywhere on the page.\n' +
+                '  bind                list your bindings\n' +
+                '  bind -r ctrl+g      remove a binding',
+            usage: 'bind [<key> <command...> | -r <key>]',
+            complete: (words) => (words[0] === '-r' && words.length === 2 ? Object.keys(userBindings) : []),
+            run: (args) => {
+                if (!args.length) {
+                    return formatKeymap('user');
+                }
+
+                const remove = args[0] === '-r';
+                const [text, ...command] = remove ? args.slice(1) : args;
+                const key = parseKeyName(text || '');
+                if (!key) {
+                    return fail(`bind: ${text ? `${text}: not a key (e.g., ctrl+g, alt+shift+p, f2)` : 'usage: bind [<key> <command...> | -r <key>]'}`);
+                }
+
+                if (remove) {
+                    if (!Object.prototype.hasOwnProperty.call(userBindings, key)) {
+                        return fail(`bind: ${key}: not bound`);
+                    }
+                    delete userBindings[key];
+                    saveKeybindings();
+                    return `Unbound ${key}`;
+                }
+
+                if (!command.length) {
+                    return Object.prototype.hasOwnProperty.call(userBindings, key)
+                        ? `${key}  ${userBindings[key]}`
+                        : fail(`bind: ${key}: not bound`);
+                }
+                if (!isBindable(key)) {
+                    return fail(`bind: ${key}: a binding needs ctrl, alt or meta, or a function key`);
+                }
+
+                // One argument is taken as a command line; several are its words
+                const line = command.length === 1 ? command[0].trim() : command.map(quoteWord).join(' ');
+                try {
+                    if (!TerminalCore.parseCommandLine(line).length) {
+                        return fail('bind: empty command');
+                    }
+                } catch (err) {
+                    return fail(`bind: ${err.message}`);
+                }
+
+                userBindings[key] = line;
+                saveKeybindings();
+                return `${key} runs: ${line}`;
             }
-        };
+        });
+    }
+
+    // Jobs
+    // Command lines run as jobs of the shell (see terminal-core.js). Ctrl+C aborts the
+    // foreground job, and the prompt shows a spinner while one runs.
+    const BUSY_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
 
-        const selectedTheme = themes[theme] || themes.default;
-        Object.entries(selectedTheme).forEach(([property, value]) => {
-            document.documentElement.style.setProperty(property, value);
+    function runForegroundJob(input) {
+        const job = shell.createJob(input, (write, signal) => shell.executeCommand(input, write, signal));
+        setForegroundJob(job);
+        job.done.then(() => {
+            if (state.foregroundJob === job) setForegroundJob(null);
         });
     }
 
-    // Hacking Sequence Easter Egg
-    function initiateHackingSequence() {
-        const messages = [
-            'ACCESSING MAINFRAME...',
-            'BYPASSING FIREWALL...',
-            'INJECTING PAYLOAD...',
-            'EXTRACTING DATA...',
-            'HACK COMPLETE! Just kidding :)'
-        ];
+    function setForegroundJob(job) {
+        state.foregroundJob = job;
+        clearInterval(state.busyTimer);
+        state.busyTimer = null;
+
+        if (job) {
+            state.busyFrame = 0;
+            state.busyTimer = setInterval(() => {
+                state.busyFrame++;
+                if (!state.reverseSearch) updatePrompt();
+            }, 80);
+        }
+        if (elements.terminalInput) {
+            elements.terminalInput.setAttribute('aria-busy', String(Boolean(job)));
+        }
+        updatePrompt();
+    }
 
-        messages.forEach((msg, index) => {
-            setTimeout(() => {
-                displayOutput(msg);
-            }, index * 1000);
+    function interruptForegroundJob() {
+        state.foregroundJob.controller.abort();
+        setForegroundJob(null);
+        displayOutput('^C');
+    }
+
+    // Asking
+    // A command's question (context.ask, see terminal-core.js) takes the place of the
+    // prompt until Enter answers it; Ctrl+C aborts the job and the question with it.
+    // Answers aren't kept in the history.
+    function askInput(question, signal) {
+        return new Promise(resolve => {
+            const finish = (answer) => {
+                signal.removeEventListener('abort', abort);
+                state.ask = null;
+                updatePrompt();
+                resolve(answer);
+            };
+            const abort = () => {
+                if (elements.terminalInput) elements.terminalInput.value = '';
+                finish(null);
+            };
+
+            state.ask = { question, answer: finish };
+            signal.addEventListener('abort', abort, { once: true });
+            updatePrompt();
+            if (elements.terminalInput) elements.terminalInput.focus();
         });
     }
 
-    // Sound Effects (Optional)
-    function playSound(type) {
-        // Implement sound effects here if desired
-        // const audio = new Audio(`/assets/sounds/${type}.mp3`);
-        // audio.play();
+    // Terminal Input Handler
+    // Keys go through the keymap (see Keybindings); the pager, top, a replay and
+    // reverse search take them over while they run
+    function handleTerminalInput(e) {
+        if (e.key.length === 1 || e.key === 'Backspace' || e.key === 'Enter') {
+            playSound('key');
+        }
+
+        if (state.pager || state.top) {
+            dispatchKey(e, 'paging');
+        } else if (state.replay) {
+            dispatchKey(e, 'replay');
+        } else if (state.reverseSearch) {
+            handleReverseSearch(e);
+        } else {
+            dispatchKey(e, 'input');
+        }
     }
 
-    // Konami Code Easter Egg
-    const konamiCode = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'];
-    let konamiIndex = 0;
+    function acceptLine(input) {
+        if (state.ask) {
+            const answer = input.value;
+            input.value = '';
+            recordInput(answer);
+            echoCommand(answer);
+            state.ask.answer(answer);
+            return;
+        }
 
-    document.addEventListener('keydown', (e) => {
-        if (e.key === konamiCode[konamiIndex]) {
-            konamiIndex++;
-            if (konamiIndex === konamiCode.length) {
-                activateKonamiCode();
-                konamiIndex = 0;
+        let line = input.value.trim();
+        // Typing ahead is fine, but a new command waits for the foreground job
+        if (state.foregroundJob) return;
+        recordInput(input.value);
+        input.value = '';
+        echoCommand(line);
+        if (!line) return;
+
+        // Like bash, an expanded line is echoed, and a failed expansion runs nothing
+        try {
+            const expanded = shell.expandHistory(line);
+            if (expanded !== line) {
+                displayOutput(expanded);
+                line = expanded;
             }
+        } catch (err) {
+            displayOutput(err.message);
+            return;
+        }
+
+        shell.recordHistory(line);
+        state.historyIndex = shell.state.history.length;
+        runForegroundJob(line);
+    }
+
+    // Step back (-1) or forward (1) through the history; past the newest entry is an empty line
+    function walkHistory(input, direction) {
+        const history = shell.state.history;
+        const index = Math.max(0, Math.min(state.historyIndex + direction, history.length));
+        if (direction < 0 && index === state.historyIndex) return;
+
+        state.historyIndex = index;
+        input.value = index < history.length ? history[index] : '';
+    }
+
+    // Ctrl+C aborts the foreground job, or else abandons the line being typed.
+    // With text selected it is left alone to copy, and false is returned.
+    function interruptInput(e) {
+        const input = e.target;
+        if (state.foregroundJob) {
+            interruptForegroundJob();
+        } else if (input.selectionStart === input.selectionEnd) {
+            echoCommand(`${input.value}^C`);
+            input.value = '';
+            state.historyIndex = shell.state.history.length;
         } else {
-            konamiIndex = 0;
+            return false;
         }
-    });
+        return true;
+    }
 
-    function activateKonamiCode() {
-        displayOutput('🎮 KONAMI CODE ACTIVATED! You unlocked the secret mode!');
-        document.body.style.animation = 'rainbow 2s linear infinite';
-        
-        const style = document.createElement('style');
-        style.textContent = `
-            @keyframes rainbow {
-                0% { filter: hue-rotate(0deg); }
-                100% { filter: hue-rotate(360deg); }
+    // Command History
+    // The shell keeps the history; the page stores it and walks it with the arrow keys
+    const HISTORY_KEY = 'terminal-history';
+
+    function loadHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+            if (Array.isArray(saved)) {
+                shell.setHistory(saved);
             }
-        `;
-        document.head.appendChild(style);
+        } catch (err) {
+            // Storage unavailable or corrupt; start with an empty history
+        }
+        state.historyIndex = shell.state.history.length;
+    }
 
-        setTimeout(() => {
-            document.body.style.animation = '';
-            style.remove();
-        }, 10000);
+    // Called by the shell whenever the history changes, including 'history -c'
+    function saveHistory(history) {
+        state.historyIndex = history.length;
+        try {
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+        } catch (err) {
+            // Storage unavailable (private mode, quota); history stays in memory
+        }
     }
 
-    // Blog Post Data
-    const blogPosts = {
-        'readable-code': {
-            title: 'The Art of Readable Code',
-            date: '2024.03.10',
-            content: `
-<span class="comment">// Writing code that humans can understand</span>
-
-Code is read far more often than it's written. We spend 90% of our time reading code 
-and only 10% writing it. Yet we optimize for the 10%.
-
-<span class="keyword">Key Principles:</span>
-• <span class="string">Naming:</span> Use clear, descriptive names that reveal intent
-• <span class="string">Functions:</span> Each function should do one thing, do it well, and do it only
-• <span class="string">Comments:</span> Explain WHY, not WHAT - the code should explain what
-• <span class="string">Structure:</span> Use whitespace and organization to create visual hierarchy
-
-<span class="keyword">Example:</span>
-<span class="comment">// Bad - unclear naming, does too much</span>
-function calc(x, y) {
-    return x * 0.1 + y * 0.05;
-}
-
-<span class="comment">// Good - clear intent, single responsibility</span>
-function calculateTotalTax(stateTax, federalTax) {
-    const STATE_TAX_RATE = 0.1;
-    const FEDERAL_TAX_RATE = 0.05;
-    return stateTax * STATE_TAX_RATE + federalTax * FEDERAL_TAX_RATE;
-}
-
-Remember: Code is communication between developers across time.
-Your future self is a different developer. Write for them.
-            `.trim()
-        },
-        'performant-web': {
-            title: 'Building Performant Web Applications',
-            date: '2024.02.20',
-            content: `
-<span class="comment">// Performance as a foundation, not an afterthought</span>
-
-Performance isn't a feature—it's the foundation upon which great user experiences are built.
-A 100ms delay can reduce conversion rates by 7%.
-
-<span class="keyword">Performance Budget:</span>
-• Time to Interactive: < 3 seconds on 3G
-• First Contentful Paint: < 1 second
-• JavaScript bundle: < 100KB gzipped
-• CSS: < 10KB
-• Lighthouse score: > 95
-
-<span class="keyword">Key Strategies:</span>
-1. <span class="string">Start with HTML:</span> Semantic, minimal, no JS required
-2. <span class="string">Progressive Enhancement:</span> Core functionality without JavaScript
-3. <span class="string">Optimize Images:</span> WebP, lazy loading, responsive images
-4. <span class="string">Cache First:</span> Service workers for instant repeat visits
-
-<span class="keyword">Code Example:</span>
-<span class="comment">// Lazy loading with Intersection Observer</span>
-if ('IntersectionObserver' in window) {
-    const images = document.querySelectorAll('img[data-src]');
-    const imageObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const img = entry.target;
-                img.src = img.dataset.src;
-                imageObserver.unobserve(img);
-            }
-        });
-    });
-    images.forEach(img => imageObserver.observe(img));
-}
+    // Reverse Search (Ctrl+R)
+    // The input shows the current match while the query lives in the prompt,
+    // as in bash's (reverse-i-search)`query': match
+    function startReverseSearch(input) {
+        state.reverseSearch = {
+            query: '',
+            index: shell.state.history.length,
+            original: input.value
+        };
+        renderReverseSearch(input, true);
+    }
 
-Build fast by default. Optimize from the start. 
-Treat performance as a feature—because to your users, it absolutely is.
-            `.trim()
-        },
-        'simplicity-design': {
-            title: 'On Simplicity in Design',
-            date: '2024.01.15',
-            content: `
-<span class="comment">// The profound impact of simplicity in digital design</span>
+    // Find the newest entry containing the query, starting before index
+    function searchHistory(query, index) {
+        for (let i = Math.min(index, shell.state.history.length) - 1; i >= 0; i--) {
+            if (shell.state.history[i].includes(query)) return i;
+        }
+        return -1;
+    }
 
-In an era of endless complexity and feature creep, the pursuit of simplicity 
-has become both a rebellion and a necessity.
+    function renderReverseSearch(input, found) {
+        const search = state.reverseSearch;
+        if (elements.prompt) {
+            elements.prompt.textContent = `(${found ? '' : 'failed '}reverse-i-search)\`${search.query}':`;
+        }
+        if (found) {
+            input.value = search.index < shell.state.history.length ? shell.state.history[search.index] : '';
+        }
+    }
 
-<span class="keyword">Learning from Masters:</span>
-• <span class="string">Scandinavian Design:</span> Functionality first, natural materials, light and space
-• <span class="string">Swiss Typography:</span> Grid systems, sans-serif clarity, objective photography
-• <span class="string">German Engineering:</span> Precision, reliability, documentation as design
+    function endReverseSearch(input, value) {
+        state.reverseSearch = null;
+        state.historyIndex = shell.state.history.length;
+        input.value = value;
+        updatePrompt();
+    }
 
-<span class="keyword">The Cost of Complexity:</span>
-Every additional feature increases cognitive load exponentially.
-The best designs recognize this and make deliberate choices.
+    function handleReverseSearch(e) {
+        const search = state.reverseSearch;
+        const input = e.target;
 
-<span class="keyword">Practical Simplicity:</span>
-1. Understanding the core problem
-2. Progressive disclosure of complexity
-3. Sensible defaults for common cases
-4. Escape hatches for power users
+        // Move to an older (step -1) or newer (step 1) match for the same query
+        function step(direction) {
+            let i = search.index + direction;
+            while (i >= 0 && i < shell.state.history.length && !shell.state.history[i].includes(search.query)) {
+                i += direction;
+            }
+            const found = i >= 0 && i < shell.state.history.length;
+            if (found) search.index = i;
+            renderReverseSearch(input, found);
+        }
 
-<span class="keyword">The Courage to Say No:</span>
-Perhaps the hardest part of pursuing simplicity is saying no.
-• No to the feature that 5% of users might want
-• No to the clever animation that adds 50KB
-• No to the framework that adds complexity
+        if ((e.ctrlKey && e.key === 'r') || e.key === 'ArrowUp') {
+            e.preventDefault();
+            step(-1);
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            step(1);
+        } else if (e.key === 'Enter') {
+            // Accept the match and fall through to the normal Enter handling
+            endReverseSearch(input, input.value);
+            handleTerminalInput(e);
+        } else if (e.key === 'Escape' || (e.ctrlKey && e.key === 'g')) {
+            e.preventDefault();
+            endReverseSearch(input, search.original);
+        } else if (e.key === 'Backspace') {
+            e.preventDefault();
+            search.query = search.query.slice(0, -1);
+            const index = search.query ? searchHistory(search.query, shell.state.history.length) : -1;
+            search.index = index === -1 ? shell.state.history.length : index;
+            renderReverseSearch(input, index !== -1 || !search.query);
+        } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            const query = search.query + e.key;
+            const index = searchHistory(query, search.index + 1);
+            search.query = query;
+            if (index !== -1) search.index = index;
+            renderReverseSearch(input, index !== -1);
+        } else if (['ArrowLeft', 'ArrowRight', 'Home', 'End', 'Tab'].includes(e.key)) {
+            // Keep the match on the line for editing
+            endReverseSearch(input, input.value);
+        }
+    }
 
-Every "no" is actually a "yes" to focus, performance, and user experience.
+    // Tab Completion
+    // A unique match completes in place; otherwise the common prefix is filled in,
+    // and a second Tab on the same ambiguous input lists every candidate like bash.
+    function completeInput(input) {
+        const cursor = input.selectionStart === null ? input.value.length : input.selectionStart;
+        const before = input.value.substring(0, cursor);
+        const after = input.value.substring(cursor);
+        const { word, candidates } = shell.completeCommand(before);
+
+        if (candidates.length === 0) {
+            state.lastCompletion = null;
+            return;
+        }
 
-<span class="comment">// Simplicity isn't minimalism for its own sake</span>
-<span class="comment">// It's about respecting both the user's time and intelligence</span>
-            `.trim()
+        const prefix = commonPrefix(candidates);
+        let completed = before.substring(0, before.length - word.length) + prefix;
+        if (candidates.length === 1 && !prefix.endsWith('/')) {
+            completed += ' ';
         }
-    };
 
-    // Toggle Blog Post Function
-    window.toggleBlogPost = function(postId) {
-        const entry = document.querySelector(`[data-post="${postId}"]`);
+        if (completed !== before) {
+            input.value = completed + after;
+            input.setSelectionRange(completed.length, completed.length);
+            state.lastCompletion = null;
+        } else if (candidates.length > 1) {
+            if (state.lastCompletion === input.value) {
+                displayOutput(candidates.map(candidate => candidate.split('/').filter(Boolean).pop() + (candidate.endsWith('/') ? '/' : '')).join('  '));
+                state.lastCompletion = null;
+            } else {
+                state.lastCompletion = input.value;
+            }
+        }
+    }
+
+    function commonPrefix(strings) {
+        return strings.reduce((prefix, string) => {
+            let i = 0;
+            while (i < prefix.length && prefix[i] === string[i]) i++;
+            return prefix.substring(0, i);
+        });
+    }
+
+    // Display Output
+    // Everything shown is also recorded while 'script' runs (see Session Recording);
+    // lines filled in afterwards pass { record: false } and record their own text.
+    // Text is rendered by renderText; pass { html: true } only for markup built from
+    // escaped text (e.g. Markdown.render)
+    function displayOutput(text, { html = false, record = true } = {}) {
+        const outputPre = document.createElement('pre');
+        outputPre.className = 'terminal-output-line';
+        if (html) {
+            outputPre.innerHTML = text;
+        } else {
+            renderText(outputPre, text);
+        }
+        if (record) recordOutput(html ? outputPre.textContent : text);
+        
+        const outputContainer = document.getElementById('output');
+        if (outputContainer) {
+            outputContainer.appendChild(outputPre);
+            outputContainer.scrollTop = outputContainer.scrollHeight;
+        }
+        return outputPre;
+    }
+
+    // Show a command line after the prompt it was typed at, as a terminal's scrollback does
+    function echoCommand(line) {
+        const echo = displayOutput('', { record: false });
+        echo.classList.add('command-echo');
+
+        const prompt = document.createElement('span');
+        prompt.className = 'command-prompt';
+        prompt.textContent = elements.prompt ? elements.prompt.textContent : '$';
+        echo.append(prompt, ` ${line}`);
+        recordOutput(echo.textContent);
+        return echo;
+    }
+
+    // Keep initial boot sequence output, only clear command outputs
+    function clearOutput() {
+        const output = document.getElementById('output');
+        if (output) {
+            output.querySelectorAll('.terminal-output-line').forEach(line => line.remove());
+        }
+        if (state.recording) state.recording.output('\x1b[H\x1b[2J');
+    }
+
+    // The output pane lives in the home section; show it, for views that take it over
+    // (the pager, replay). Returns the pane, or null on a page without one.
+    function showOutputSection() {
+        const output = document.getElementById('output');
+        const section = output && output.closest('.terminal-section');
+        if (section && !section.classList.contains('active')) {
+            navigateToSection(section.id);
+        }
+        return output;
+    }
+
+    // Writes a command line's output as it arrives; lines of one stream share an element,
+    // until the screen is cleared under it
+    function createOutputWriter() {
+        let stream = null;
+        return (text, { stream: streamed = false } = {}) => {
+            if (streamed && stream && stream.isConnected) {
+                renderText(stream, '\n' + text);
+                recordOutput(text);
+                const output = document.getElementById('output');
+                if (output) output.scrollTop = output.scrollHeight;
+            } else {
+                const line = displayOutput(text);
+                stream = streamed ? line : null;
+            }
+        };
+    }
+
+    // Output Rendering
+    // Command output is text that may carry ANSI color codes (see ansi.js). It becomes
+    // DOM nodes, never markup, so nothing in it can inject HTML: colors become spans
+    // with .ansi-* classes that terminal.css maps onto the theme, and web addresses and
+    // directory paths (about/, /blog, ~/projects) become links.
+    const ANSI_ATTRIBUTES = ['bold', 'dim', 'italic', 'underline', 'strike'];
+
+    // Web and mail addresses, then anything with a slash that may be a path
+    const OUTPUT_LINK_PATTERN = /\b(?:https?:\/\/|mailto:)[^\s<>"'`]+|[\w.~-]*\/[\w./-]*/g;
+
+    function renderText(parent, text) {
+        Ansi.parse(text).forEach(segment => {
+            const span = ansiSpan(segment.style);
+            appendLinked(span || parent, segment.text);
+            if (span) parent.appendChild(span);
+        });
+    }
+
+    // A span showing an Ansi.parse style; null for the default style
+    function ansiSpan(style) {
+        let { fg, bg } = style;
+        if (style.inverse) {
+            // Black is the terminal's background and white its text (see terminal.css)
+            [fg, bg] = [bg || 'black', fg || 'white'];
+        }
+
+        const span = document.createElement('span');
+        const classes = ANSI_ATTRIBUTES.filter(attribute => style[attribute]).map(attribute => `ansi-${attribute}`);
+        [['fg', fg, 'color'], ['bg', bg, 'backgroundColor']].forEach(([layer, color, property]) => {
+            if (!color) return;
+            // 256-color and truecolor codes arrive as #rrggbb, which the theme can't map
+            if (color.startsWith('#')) {
+                span.style[property] = color;
+            } else {
+                classes.push(`ansi-${layer}-${color}`);
+            }
+        });
+
+        if (!classes.length && !fg && !bg) return null;
+        span.className = classes.join(' ');
+        return span;
+    }
+
+    function appendLinked(parent, text) {
+        let last = 0;
+        text.replace(OUTPUT_LINK_PATTERN, (match, offset) => {
+            const link = outputLink(match);
+            if (link) {
+                parent.append(text.substring(last, offset), link.anchor, match.substring(link.length));
+                last = offset + match.length;
+            }
+            return match;
+        });
+        parent.append(text.substring(last));
+    }
+
+    // The anchor for a match and how much of the match it covers; null if it isn't a link.
+    // Paths are resolved against the working directory the output is shown in.
+    function outputLink(match) {
+        const anchor = document.createElement('a');
+        anchor.className = 'output-link';
+
+        if (/^(https?:|mailto:)/.test(match)) {
+            // Punctuation ending a sentence isn't part of the address
+            const url = match.replace(/[.,;:!?)\]]+$/, '');
+            anchor.href = url;
+            anchor.textContent = url;
+            if (!url.startsWith('mailto:')) {
+                anchor.target = '_blank';
+                anchor.rel = 'noopener';
+            }
+            return { anchor, length: url.length };
+        }
+
+        const path = match.replace(/\.+$/, '');
+        const node = /\w/.test(path) ? shell.getNode(shell.resolvePath(path)) : null;
+        if (!node || node.type !== 'dir' || !node.section) return null;
+
+        // Followed like any in-page link (see setupNavigation), which also moves the cwd
+        anchor.href = `#/${node.section}`;
+        anchor.textContent = path;
+        anchor.title = `cd ${path}`;
+        return { anchor, length: path.length };
+    }
+
+    // Pager
+    // Shows long HTML output a page at a time behind a --More-- prompt, like more(1):
+    // Space shows the next page, Enter the next line, q quits.
+    const PAGER_LINES = 20;
+
+    function startPager(lines) {
+        if (!showOutputSection()) return;
+
+        state.pager = {
+            lines,
+            shown: 0,
+            page: displayOutput('', { html: true, record: false }),
+            prompt: null
+        };
+        advancePager(PAGER_LINES);
+
+        if (state.pager && elements.terminalInput) {
+            elements.terminalInput.focus();
+        }
+    }
+
+    function advancePager(count) {
+        const pager = state.pager;
+        const next = pager.lines.slice(pager.shown, pager.shown + count);
+        const shownText = pager.page.textContent.length;
+        pager.page.innerHTML += (pager.shown ? '\n' : '') + next.join('\n');
+        pager.shown += next.length;
+        recordOutput(pager.page.textContent.substring(shownText).replace(/^\n/, ''));
+
+        if (pager.shown >= pager.lines.length) {
+            stopPager();
+            return;
+        }
+
+        if (!pager.prompt) {
+            pager.prompt = displayOutput('', { record: false });
+            pager.prompt.classList.add('pager-prompt');
+        }
+        pager.prompt.textContent = `--More--(${Math.floor(pager.shown / pager.lines.length * 100)}%)`;
+    }
+
+    function stopPager() {
+        if (state.pager && state.pager.prompt) {
+            state.pager.prompt.remove();
+        }
+        state.pager = null;
+    }
+
+    // Session Recording
+    // 'script start' records the session until 'script stop' saves it as an asciicast
+    // v2 file (asciicast.js), for 'replay' or asciinema to play back. Each line entered
+    // is an input event and everything displayOutput shows is an output event, with
+    // line breaks as a terminal writes them.
+    const scriptCommands = {
+        start: () => {
+            if (state.recording) {
+                return fail("script: already recording. Type 'script stop' to save it.");
+            }
+            state.recording = Asciicast.createRecorder(Object.assign(terminalSize(), {
+                title: document.title,
+                env: { TERM: 'xterm-256color' }
+            }));
+            return "Script started. Type 'script stop' to save the recording.";
+        },
+        stop: () => {
+            const recording = state.recording;
+            if (!recording) {
+                return fail("script: not recording. Type 'script start' to start.");
+            }
+            state.recording = null;
+            state.lastCast = Asciicast.serialize(recording);
+
+            const file = `terminal-${new Date().toISOString().substring(0, 19).replace(/:/g, '-')}.cast`;
+            downloadFile(file, state.lastCast, 'application/x-asciicast');
+            return `Script done. Saved ${file} (${formatClock(recording.duration())}, ${recording.events.length} events); 'replay' plays it back.`;
+        }
+    };
+
+    // A line accepted at the prompt, entered with Enter
+    function recordInput(line) {
+        if (state.recording) state.recording.input(`${line}\r`);
+    }
+
+    function recordOutput(text) {
+        if (state.recording) {
+            state.recording.output(`${text.replace(/\r?\n/g, '\r\n')}\r\n`);
+        }
+    }
+
+    // Columns and rows of the output pane in the terminal font, for the cast's header
+    function terminalSize() {
+        const output = document.getElementById('output');
+        if (!output) return { width: 80, height: 24 };
+
+        const probe = document.createElement('pre');
+        probe.className = 'terminal-output-line';
+        probe.style.position = 'absolute';
+        probe.style.visibility = 'hidden';
+        probe.textContent = '0'.repeat(10);
+        output.appendChild(probe);
+        const { width, height } = probe.getBoundingClientRect();
+        probe.remove();
+
+        // Layout isn't measured everywhere (e.g. jsdom); fall back to the classic size
+        if (!width || !height) return { width: 80, height: 24 };
+        return {
+            width: Math.floor(output.clientWidth / (width / 10)),
+            height: Math.floor(window.innerHeight / height)
+        };
+    }
+
+    function downloadFile(name, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Some browsers read the URL after click() returns
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    function formatClock(seconds) {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+
+    // Session Replay
+    // 'replay' draws a cast's output on a screen in the output pane, timed as it was
+    // recorded, with pauses past the header's idle_time_limit cut short. Space pauses,
+    // the arrows seek and + and - change the speed (see Keybindings); the controls
+    // under the screen do the same with the mouse. It ends with the cast, q or Ctrl+C.
+    const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+    const REPLAY_SEEK_STEP = 5;
+
+    async function fetchCast(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
+    }
+
+    function playCast(cast, speed, signal) {
+        const frames = Asciicast.outputFrames(cast);
+        const duration = frames.length ? frames[frames.length - 1].time : 0;
+        const view = createReplayView(duration);
+
+        let position = 0; // Seconds into the cast when the clock was last read
+        let readAt = performance.now();
+        let shown = 0; // Frames on the screen
+        let playing = true;
+        let timer = null;
+
+        const clock = () => (playing ? Math.min(duration, position + (performance.now() - readAt) / 1000 * speed) : position);
+
+        return new Promise(resolve => {
+            // Show the frames due by now, then wait for the next one
+            const advance = () => {
+                position = clock();
+                readAt = performance.now();
+                while (shown < frames.length && frames[shown].time <= position) shown++;
+                render();
+
+                clearTimeout(timer);
+                if (!playing) return;
+                if (shown === frames.length) {
+                    quit();
+                } else {
+                    timer = setTimeout(advance, (frames[shown].time - position) / speed * 1000);
+                }
+            };
+
+            const render = () => {
+                const data = frames.slice(0, shown).map(frame => frame.data).join('');
+                view.screen.textContent = '';
+                renderText(view.screen, Asciicast.screenText(data).replace(/\n$/, ''));
+                view.screen.scrollTop = view.screen.scrollHeight;
+                view.seek.value = String(position);
+                view.time.textContent = `${formatClock(position)} / ${formatClock(duration)}`;
+                view.play.textContent = playing ? '❚❚' : '▶';
+                view.play.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+                view.speed.textContent = `${speed}x`;
+            };
+
+            const seekTo = (time) => {
+                position = Math.max(0, Math.min(time, duration));
+                readAt = performance.now();
+                shown = 0;
+                advance();
+            };
+
+            const toggle = () => {
+                position = clock();
+                readAt = performance.now();
+                playing = !playing;
+                advance();
+            };
+
+            // To the next speed up (1) or down (-1) the list; the mouse wraps around
+            const changeSpeed = (direction, wrap = false) => {
+                const faster = REPLAY_SPEEDS.find(value => value > speed);
+                const slower = REPLAY_SPEEDS.slice().reverse().find(value => value < speed);
+                position = clock();
+                readAt = performance.now();
+                if (direction > 0) {
+                    speed = faster || (wrap ? REPLAY_SPEEDS[0] : speed);
+                } else {
+                    speed = slower || speed;
+                }
+                advance();
+            };
+
+            const quit = () => {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', quit);
+                view.controls.remove();
+                state.replay = null;
+                resolve(signal.aborted ? fail('', 130) : '');
+            };
+
+            // After a click the keys go back to the prompt, where the replay keys work
+            const refocus = () => {
+                if (elements.terminalInput) elements.terminalInput.focus();
+            };
+            view.play.addEventListener('click', () => {
+                toggle();
+                refocus();
+            });
+            view.speed.addEventListener('click', () => {
+                changeSpeed(1, true);
+                refocus();
+            });
+            view.seek.addEventListener('input', () => seekTo(Number(view.seek.value)));
+            view.seek.addEventListener('change', refocus);
+
+            state.replay = { toggle, seekTo, seekBy: (delta) => seekTo(clock() + delta), changeSpeed, quit };
+            signal.addEventListener('abort', quit, { once: true });
+            advance();
+        });
+    }
+
+    // A screen with play/pause, a seek bar, the time and the speed under it
+    function createReplayView(duration) {
+        const output = showOutputSection();
+        const player = document.createElement('div');
+        player.className = 'terminal-output-line cast-player';
+        const screen = document.createElement('pre');
+        screen.className = 'cast-screen';
+        const controls = document.createElement('div');
+        controls.className = 'cast-controls';
+
+        const play = document.createElement('button');
+        play.type = 'button';
+        play.className = 'cast-play';
+        const seek = document.createElement('input');
+        seek.type = 'range';
+        seek.className = 'cast-seek';
+        seek.min = '0';
+        seek.max = String(duration);
+        seek.step = 'any';
+        seek.setAttribute('aria-label', 'Seek');
+        const time = document.createElement('span');
+        time.className = 'cast-time';
+        const speed = document.createElement('button');
+        speed.type = 'button';
+        speed.className = 'cast-speed';
+        speed.setAttribute('aria-label', 'Speed');
+
+        controls.append(play, seek, time, speed);
+        player.append(screen, controls);
+        if (output) {
+            output.appendChild(player);
+            output.scrollTop = output.scrollHeight;
+        }
+        return { screen, controls, play, seek, time, speed };
+    }
+
+    // Boot Sequence
+    // A kernel-style boot log with real timestamps, then the whoami typing. It plays on
+    // the first visit of a browser session only (sessionStorage) and not at all when the
+    // system prefers reduced motion. Any key or click skips to the final state, and the
+    // 'reboot' command plays it again.
+    const BOOT_KEY = 'terminal-booted';
+    const BOOT_PROGRESS_WIDTH = 20;
+
+    const bootMessages = [
+        { message: 'INITIALIZING SYSTEM...', duration: 200 },
+        { message: 'LOADING KERNEL MODULES...', duration: 600, progress: true },
+        { message: 'MOUNTING FILE SYSTEMS...', duration: 250 },
+        { message: 'STARTING NETWORK SERVICES...', duration: 450, progress: true },
+        { message: 'LOADING USER PROFILE...', duration: 300 },
+        { message: 'SYSTEM READY', duration: 400 }
+    ];
+
+    function animateBootSequence() {
+        let booted = false;
+        try {
+            booted = sessionStorage.getItem(BOOT_KEY) !== null;
+            sessionStorage.setItem(BOOT_KEY, '1');
+        } catch (err) {
+            // Storage unavailable; boot every time
+        }
+
+        // Deep links to other sections or to a replay go straight to their content
+        const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        const route = currentRoute();
+        if (booted || reducedMotion || route.section !== 'home' || route.replay) {
+            finishBootSequence();
+        } else {
+            playBootSequence();
+        }
+    }
+
+    // Resolves once the final state is shown, whether played through, skipped or aborted
+    async function playBootSequence(signal) {
+        resetBootSequence();
+        playSound('boot');
+        try {
+            await playSkippable(async (skipSignal) => {
+                await printBootLog(skipSignal);
+                await typeWhoami(skipSignal);
+            }, signal);
+        } finally {
+            finishBootSequence();
+        }
+    }
+
+    // Runs play(skipSignal) to its end, or until any key or click (or the signal) skips it
+    async function playSkippable(play, signal) {
+        const controller = new AbortController();
+        const skip = () => controller.abort();
+        document.addEventListener('keydown', skip, true);
+        document.addEventListener('pointerdown', skip, true);
+        if (signal) signal.addEventListener('abort', skip);
+
+        try {
+            await play(controller.signal);
+        } catch (err) {
+            if (err.name !== 'AbortError') throw err;
+        } finally {
+            document.removeEventListener('keydown', skip, true);
+            document.removeEventListener('pointerdown', skip, true);
+            if (signal) signal.removeEventListener('abort', skip);
+        }
+    }
+
+    async function printBootLog(signal) {
+        const { screen, addLine } = openBootScreen('press any key to skip');
+
+        addLine(`LEV.KOZ kernel ${new Date().getFullYear()} (tty1) ${navigator.platform || ''}`.trim());
+        for (const step of bootMessages) {
+            const { line, message } = addLine(step.message.padEnd(32));
+
+            if (step.progress) {
+                for (let filled = 1; filled <= BOOT_PROGRESS_WIDTH; filled++) {
+                    await sleep(step.duration / BOOT_PROGRESS_WIDTH, signal);
+                    const percent = String(Math.round(filled / BOOT_PROGRESS_WIDTH * 100)).padStart(3);
+                    message.textContent = `${step.message.padEnd(32)}[${'#'.repeat(filled).padEnd(BOOT_PROGRESS_WIDTH, '.')}] ${percent}%`;
+                }
+            } else {
+                await sleep(step.duration, signal);
+            }
+
+            line.appendChild(bootStatus());
+        }
+
+        await sleep(300, signal);
+        screen.remove();
+    }
+
+    // A full-page console; addLine prints a line timestamped from when it opened
+    function openBootScreen(hint) {
+        const screen = document.createElement('div');
+        screen.className = 'boot-screen';
+        screen.setAttribute('aria-hidden', 'true');
+        screen.innerHTML = '<pre class="boot-log"></pre><div class="boot-hint"></div>';
+        screen.querySelector('.boot-hint').textContent = hint;
+        document.body.appendChild(screen);
+
+        const log = screen.querySelector('.boot-log');
+        const start = performance.now();
+
+        function addLine(text) {
+            const line = document.createElement('div');
+            const timestamp = document.createElement('span');
+            timestamp.className = 'boot-timestamp';
+            timestamp.textContent = `[${((performance.now() - start) / 1000).toFixed(6).padStart(12)}] `;
+            const message = document.createElement('span');
+            message.textContent = text;
+            line.append(timestamp, message);
+            log.appendChild(line);
+            return { line, message };
+        }
+
+        return { screen, addLine };
+    }
+
+    function bootStatus() {
+        const status = document.createElement('span');
+        status.className = 'boot-ok';
+        status.textContent = '  [  OK  ]';
+        return status;
+    }
+
+    async function typeWhoami(signal) {
+        if (!elements.typingText) return;
+
+        const text = elements.typingText.dataset.text;
+        await sleep(300, signal);
+        for (let index = 1; index <= text.length; index++) {
+            elements.typingText.textContent = text.substring(0, index);
+            await sleep(80, signal);
+        }
+
+        await sleep(200, signal);
+        for (const line of elements.outputLines) {
+            line.classList.remove('hidden');
+            await sleep(250, signal);
+        }
+    }
+
+    function resetBootSequence() {
+        if (elements.typingText) {
+            elements.typingText.textContent = '';
+        }
+        elements.outputLines.forEach(line => line.classList.add('hidden'));
+    }
+
+    function finishBootSequence() {
+        document.querySelectorAll('.boot-screen').forEach(screen => screen.remove());
+        if (elements.typingText) {
+            elements.typingText.textContent = elements.typingText.dataset.text;
+        }
+        elements.outputLines.forEach(line => line.classList.remove('hidden'));
+    }
+
+    // Window Controls
+    // The title bar buttons behave like a window's: maximize toggles fullscreen,
+    // minimize folds the terminal into a dock tab and close shuts it down. The
+    // 'fullscreen' and 'exit' commands do the same.
+    function setupWindowControls() {
+        const controls = document.querySelector('.terminal-controls');
+        if (!controls) return;
+
+        controls.addEventListener('click', (e) => {
+            const control = e.target.closest('.control');
+            if (!control) return;
+
+            if (control.classList.contains('minimize')) {
+                minimizeTerminal();
+            } else if (control.classList.contains('maximize')) {
+                toggleFullscreen().catch(() => {});
+            } else if (control.classList.contains('close')) {
+                shutdown();
+            }
+        });
+
+        if (elements.dock) {
+            elements.dock.addEventListener('click', restoreTerminal);
+        }
+        document.addEventListener('fullscreenchange', () => {
+            const maximize = controls.querySelector('.maximize');
+            if (maximize) {
+                maximize.setAttribute('aria-pressed', String(Boolean(document.fullscreenElement)));
+            }
+        });
+    }
+
+    // Resolves with true when fullscreen was entered and false when it was left
+    function toggleFullscreen() {
+        const container = document.querySelector('.terminal-container');
+        if (!container || !container.requestFullscreen) {
+            return Promise.reject(new Error('not supported by this browser'));
+        }
+
+        if (document.fullscreenElement) {
+            return document.exitFullscreen().then(() => false);
+        }
+        return container.requestFullscreen().then(() => true);
+    }
+
+    function minimizeTerminal() {
+        const container = document.querySelector('.terminal-container');
+        if (!container || !elements.dock) return;
+
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        }
+        container.classList.add('minimized');
+        elements.dock.hidden = false;
+        elements.dock.focus();
+    }
+
+    function restoreTerminal() {
+        const container = document.querySelector('.terminal-container');
+        if (!container) return;
+
+        container.classList.remove('minimized');
+        if (elements.dock) {
+            elements.dock.hidden = true;
+        }
+        if (elements.terminalInput) {
+            elements.terminalInput.focus();
+        }
+    }
+
+    // Shutdown
+    // Plays a shutdown log on the boot screen and halts on "press any key to boot";
+    // that key boots the terminal again through the boot sequence. Resolves once
+    // the terminal is back. Aborting (or any key) skips the rest of the log.
+    const shutdownMessages = [
+        { message: 'Stopping background jobs...', duration: 250 },
+        { message: 'Saving command history...', duration: 200 },
+        { message: 'Stopping network services...', duration: 350 },
+        { message: 'Unmounting file systems...', duration: 300 },
+        { message: 'Powering off...', duration: 400 }
+    ];
+
+    async function shutdown(signal) {
+        if (state.halted) return;
+        state.halted = true;
+
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        }
+        restoreTerminal();
+        shell.jobs.slice().forEach(job => {
+            shell.removeJob(job);
+            job.controller.abort();
+        });
+
+        const { screen, addLine } = openBootScreen('press any key to skip');
+        playSound('nav');
+        await playSkippable(async (skipSignal) => {
+            for (const step of shutdownMessages) {
+                const { line } = addLine(step.message.padEnd(32));
+                await sleep(step.duration, skipSignal);
+                line.appendChild(bootStatus());
+            }
+            addLine('System halted.');
+            await sleep(300, skipSignal);
+        }, signal);
+
+        screen.classList.add('halted');
+        screen.querySelector('.boot-hint').textContent = 'press any key to boot';
+        await waitForBootKey();
+
+        screen.remove();
+        state.halted = false;
+        clearOutput();
+        await playBootSequence();
+    }
+
+    // The key that boots is swallowed, so it doesn't also skip the boot or reach the prompt
+    function waitForBootKey() {
+        return new Promise(resolve => {
+            const boot = (e) => {
+                if (e.type === 'keydown' && ['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+                e.preventDefault();
+                e.stopPropagation();
+                document.removeEventListener('keydown', boot, true);
+                document.removeEventListener('pointerdown', boot, true);
+                resolve();
+            };
+            // Not for the key or click that ended the log
+            setTimeout(() => {
+                document.addEventListener('keydown', boot, true);
+                document.addEventListener('pointerdown', boot, true);
+            });
+        });
+    }
+
+    // Clock
+    function startClock() {
+        function updateClock() {
+            const now = new Date();
+            const time = now.toTimeString().split(' ')[0];
+            if (elements.clock) {
+                elements.clock.textContent = time;
+            }
+        }
+
+        updateClock();
+        setInterval(updateClock, 1000);
+    }
+
+    // System Metrics
+    // The status bar and 'top' show real browser signals, sampled once a second: the
+    // JS heap (performance.memory, Chromium only), the matrix rain's frame rate and
+    // dropped steps, the network state and what the service worker has cached.
+    const METRICS_INTERVAL_MS = 1000;
+    const PRECACHE_PREFIX = 'terminal-precache-';
+
+    const metrics = {
+        current: null,
+        last: { time: 0, frames: 0, dropped: 0 },
+        cache: null,
+        cacheLoading: false,
+        // Called with every new sample (see 'top')
+        listeners: []
+    };
+
+    function startMetrics() {
+        sampleMetrics();
+        setInterval(sampleMetrics, METRICS_INTERVAL_MS);
+        window.addEventListener('online', sampleMetrics);
+        window.addEventListener('offline', sampleMetrics);
+    }
+
+    function sampleMetrics() {
+        const now = performance.now();
+        const seconds = (now - metrics.last.time) / 1000;
+        const memory = performance.memory;
+
+        metrics.current = {
+            uptime: now,
+            heap: memory ? { used: memory.usedJSHeapSize, limit: memory.jsHeapSizeLimit } : null,
+            fps: matrix.frame !== null && seconds > 0 ? Math.round((matrix.frames - metrics.last.frames) / seconds) : null,
+            dropped: matrix.dropped - metrics.last.dropped,
+            totalDropped: matrix.dropped,
+            online: navigator.onLine,
+            worker: serviceWorkerStatus(),
+            cache: metrics.cache
+        };
+        metrics.last = { time: now, frames: matrix.frames, dropped: matrix.dropped };
+
+        refreshCacheStatus();
+        renderStatusBar(metrics.current);
+        metrics.listeners.forEach(listener => listener(metrics.current));
+    }
+
+    function serviceWorkerStatus() {
+        if (!('serviceWorker' in navigator)) return 'unsupported';
+
+        const registration = state.serviceWorker;
+        if (registration && registration.waiting && navigator.serviceWorker.controller) return 'update waiting';
+        if (navigator.serviceWorker.controller) return 'active';
+        if (registration && registration.installing) return 'installing';
+        return registration ? 'registered' : 'not registered';
+    }
+
+    // Count what is cached; read in the background, so samples show the last count
+    function refreshCacheStatus() {
+        if (!('caches' in window) || metrics.cacheLoading) return;
+
+        metrics.cacheLoading = true;
+        caches.keys()
+            .then(names => {
+                const precache = names.filter(name => name.startsWith(PRECACHE_PREFIX)).sort().pop();
+                return Promise.all(names.map(name => caches.open(name).then(cache => cache.keys())))
+                    .then(entries => {
+                        const counts = {};
+                        names.forEach((name, i) => {
+                            counts[name] = entries[i].length;
+                        });
+                        metrics.cache = {
+                            version: precache ? precache.substring(PRECACHE_PREFIX.length) : null,
+                            precached: precache ? counts[precache] : 0,
+                            total: entries.reduce((sum, requests) => sum + requests.length, 0)
+                        };
+                    });
+            })
+            .catch(() => {
+                metrics.cache = null;
+            })
+            .then(() => {
+                metrics.cacheLoading = false;
+            });
+    }
+
+    function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+    }
+
+    function renderStatusBar(sample) {
+        const items = [
+            [elements.statusNetwork, `NET: ${sample.online ? 'ONLINE' : 'OFFLINE'}`, !sample.online],
+            [elements.statusMemory, `MEM: ${sample.heap ? formatBytes(sample.heap.used) : 'N/A'}`, false],
+            [elements.statusFps, `FPS: ${sample.fps === null ? '--' : sample.fps}`, sample.dropped > 0],
+            [elements.statusWorker, `SW: ${sample.worker === 'active' && sample.cache ? `${sample.cache.precached} CACHED` : sample.worker.toUpperCase()}`, sample.worker === 'update waiting']
+        ];
+
+        items.forEach(([item, text, warning]) => {
+            if (!item) return;
+            item.textContent = text;
+            item.classList.toggle('warning', warning);
+        });
+    }
+
+    // 'top' table of a sample
+    function formatMetrics(sample) {
+        const seconds = Math.floor(sample.uptime / 1000);
+        const uptime = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+        const heap = sample.heap
+            ? `${formatBytes(sample.heap.used)} of ${formatBytes(sample.heap.limit)} (${(sample.heap.used / sample.heap.limit * 100).toFixed(1)}%)`
+            : 'not reported by this browser';
+        const matrixRate = sample.fps === null
+            ? 'paused'
+            : `${sample.fps} fps, ${sample.dropped} dropped steps (${sample.totalDropped} total)`;
+        const cache = sample.cache
+            ? `${sample.cache.precached} files precached${sample.cache.version ? ` (v${sample.cache.version})` : ''}, ${sample.cache.total} in all caches`
+            : 'unavailable';
+
+        const rows = [
+            ['JS heap', heap],
+            ['Matrix', matrixRate],
+            ['Network', sample.online ? 'online' : 'offline'],
+            ['Service worker', sample.worker],
+            ['Cache', cache],
+            ['Jobs', `${shell.jobs.length} background`]
+        ];
+
+        return [
+            `top - ${new Date().toTimeString().split(' ')[0]} up ${uptime}`,
+            '',
+            formatTable([['METRIC', 'VALUE']].concat(rows))
+        ].join('\n');
+    }
+
+    // Redraw the table on every sample until q or Ctrl+C
+    function runTop(signal) {
+        const table = displayOutput(formatMetrics(metrics.current));
+        const hint = displayOutput('Press q to quit', { record: false });
+        hint.classList.add('pager-prompt');
+
+        return new Promise(resolve => {
+            const update = (sample) => {
+                table.textContent = formatMetrics(sample);
+            };
+            const quit = () => {
+                metrics.listeners = metrics.listeners.filter(listener => listener !== update);
+                signal.removeEventListener('abort', quit);
+                hint.remove();
+                state.top = null;
+                resolve(signal.aborted ? fail('', 130) : '');
+            };
+
+            metrics.listeners.push(update);
+            signal.addEventListener('abort', quit, { once: true });
+            state.top = { quit };
+        });
+    }
+
+    // Matrix Rain Effect
+    // Drawn on requestAnimationFrame in fixed steps (one row per step at speed 1), so
+    // the rain falls at the same pace at any refresh rate. It only runs while enabled,
+    // the tab is visible and the system doesn't prefer reduced motion. Settings are
+    // changed with the 'matrix' command and kept in localStorage.
+    const MATRIX_KEY = 'terminal-matrix';
+    const MATRIX_STEP_MS = 35;
+    const MATRIX_FONT_SIZE = 10;
+    // Time allowed for catching up on missed steps in one frame
+    const MATRIX_FRAME_BUDGET_MS = 8;
+
+    const MATRIX_CHARSETS = {
+        binary: '01',
+        katakana: 'ｱｲｳｴｵｶｷｸｹｺｻｼｽｾｿﾀﾁﾂﾃﾄﾅﾆﾇﾈﾉﾊﾋﾌﾍﾎﾏﾐﾑﾒﾓﾔﾕﾖﾗﾘﾙﾚﾛﾜﾝ0123456789'
+    };
+
+    // The values each setting takes; 'matrix' and the saved settings are held to them
+    const MATRIX_SETTING_RULES = {
+        enabled: (value) => typeof value === 'boolean',
+        speed: (value) => typeof value === 'number' && value >= 0.1 && value <= 10,
+        density: (value) => typeof value === 'number' && value >= 0 && value <= 1,
+        charset: (value) => value === 'custom' || Object.prototype.hasOwnProperty.call(MATRIX_CHARSETS, value),
+        custom: (value) => typeof value === 'string'
+    };
+
+    // Colors follow the theme (see applyTheme)
+    const matrixColors = {
+        glyph: '#00ff41',
+        fade: 'rgba(10, 14, 39, 0.05)'
+    };
+
+    const matrix = {
+        settings: {
+            enabled: true,
+            speed: 1,
+            density: 1,
+            charset: 'binary',
+            custom: ''
+        },
+        ctx: null,
+        width: 0,
+        height: 0,
+        columns: [],
+        frame: null,
+        lastTime: 0,
+        pending: 0,
+        // Counted for the status bar and 'top'
+        frames: 0,
+        dropped: 0,
+        reducedMotion: null
+    };
+
+    function initMatrixRain() {
+        const canvas = elements.matrixCanvas;
+        if (!canvas) return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(MATRIX_KEY));
+            if (saved && typeof saved === 'object') {
+                // Settings that break the rules (edited or from an older version) are dropped
+                Object.keys(MATRIX_SETTING_RULES).forEach(name => {
+                    if (MATRIX_SETTING_RULES[name](saved[name])) matrix.settings[name] = saved[name];
+                });
+                if (matrix.settings.charset === 'custom' && !matrix.settings.custom) {
+                    matrix.settings.charset = 'binary';
+                }
+            }
+        } catch (err) {
+            // Storage unavailable or corrupt; keep the defaults
+        }
+
+        matrix.ctx = canvas.getContext('2d');
+        resizeMatrix();
+
+        window.addEventListener('resize', resizeMatrix);
+        document.addEventListener('visibilitychange', updateMatrix);
+        if (window.matchMedia) {
+            matrix.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+            if (matrix.reducedMotion.addEventListener) {
+                matrix.reducedMotion.addEventListener('change', updateMatrix);
+            }
+        }
+
+        updateMatrix();
+    }
+
+    function saveMatrixSettings() {
+        try {
+            localStorage.setItem(MATRIX_KEY, JSON.stringify(matrix.settings));
+        } catch (err) {
+            // Storage unavailable; settings last until reload
+        }
+    }
+
+    // Size the canvas for the device pixel ratio and rebuild the columns, keeping
+    // the drops of columns that still fit
+    function resizeMatrix() {
+        const canvas = elements.matrixCanvas;
+        const ratio = window.devicePixelRatio || 1;
+        matrix.width = window.innerWidth;
+        matrix.height = window.innerHeight;
+        canvas.width = Math.round(matrix.width * ratio);
+        canvas.height = Math.round(matrix.height * ratio);
+        matrix.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        const count = Math.ceil(matrix.width / MATRIX_FONT_SIZE);
+        const columns = matrix.columns.slice(0, count);
+        for (let i = columns.length; i < count; i++) {
+            columns.push({ drop: Math.random() * -100, active: Math.random() < matrix.settings.density });
+        }
+        matrix.columns = columns;
+    }
+
+    function matrixCharacters() {
+        const { charset, custom } = matrix.settings;
+        return [...(charset === 'custom' ? custom : MATRIX_CHARSETS[charset])];
+    }
+
+    function matrixRunning() {
+        const reduced = matrix.reducedMotion && matrix.reducedMotion.matches;
+        return matrix.settings.enabled && !document.hidden && !reduced;
+    }
+
+    // Start or stop the animation to match the settings and the page's state
+    function updateMatrix() {
+        const canvas = elements.matrixCanvas;
+        if (!canvas || !matrix.ctx) return;
+
+        canvas.style.display = matrix.settings.enabled ? 'block' : 'none';
+
+        if (matrixRunning() && matrix.frame === null) {
+            matrix.lastTime = performance.now();
+            matrix.pending = 0;
+            matrix.frame = requestAnimationFrame(drawMatrixFrame);
+        } else if (!matrixRunning() && matrix.frame !== null) {
+            cancelAnimationFrame(matrix.frame);
+            matrix.frame = null;
+        }
+    }
+
+    function drawMatrixFrame(now) {
+        const interval = MATRIX_STEP_MS / matrix.settings.speed;
+        matrix.pending += now - matrix.lastTime;
+        matrix.lastTime = now;
+        matrix.frames++;
+
+        const start = performance.now();
+        while (matrix.pending >= interval) {
+            drawMatrixStep();
+            matrix.pending -= interval;
+            if (performance.now() - start > MATRIX_FRAME_BUDGET_MS) {
+                // Behind (slow device, or a long frame): drop the backlog
+                matrix.dropped += Math.floor(matrix.pending / interval);
+                matrix.pending = 0;
+                break;
+            }
+        }
+
+        matrix.frame = requestAnimationFrame(drawMatrixFrame);
+    }
+
+    function drawMatrixStep() {
+        const ctx = matrix.ctx;
+        const characters = matrixCharacters();
+
+        ctx.fillStyle = matrixColors.fade;
+        ctx.fillRect(0, 0, matrix.width, matrix.height);
+
+        ctx.fillStyle = matrixColors.glyph;
+        ctx.font = MATRIX_FONT_SIZE + 'px monospace';
+
+        matrix.columns.forEach((column, i) => {
+            if (column.active) {
+                const text = characters[Math.floor(Math.random() * characters.length)];
+                ctx.fillText(text, i * MATRIX_FONT_SIZE, column.drop * MATRIX_FONT_SIZE);
+            }
+
+            if (column.drop * MATRIX_FONT_SIZE > matrix.height && Math.random() > 0.975) {
+                column.drop = 0;
+                column.active = Math.random() < matrix.settings.density;
+            }
+            column.drop++;
+        });
+    }
+
+    // Matrix Command
+    // Subcommands of 'matrix'; each validates its value and returns a confirmation
+    const matrixCommands = {
+        on: () => setMatrixEnabled(true),
+        off: () => setMatrixEnabled(false),
+        speed: (args) => {
+            const speed = Number(args[0]);
+            if (!args[0] || !MATRIX_SETTING_RULES.speed(speed)) {
+                return fail('matrix speed: expected a number from 0.1 to 10');
+            }
+            matrix.settings.speed = speed;
+            saveMatrixSettings();
+            return `Matrix speed: ${speed}`;
+        },
+        density: (args) => {
+            const density = Number(args[0]);
+            if (!args[0] || !MATRIX_SETTING_RULES.density(density)) {
+                return fail('matrix density: expected a number from 0 to 1');
+            }
+            matrix.settings.density = density;
+            matrix.columns.forEach(column => {
+                column.active = Math.random() < density;
+            });
+            saveMatrixSettings();
+            return `Matrix density: ${density}`;
+        },
+        charset: (args) => {
+            const [charset, custom] = args;
+            if (charset === 'custom') {
+                if (!custom) {
+                    return fail('matrix charset custom: missing characters (e.g. matrix charset custom "ABC")');
+                }
+                matrix.settings.custom = custom;
+            } else if (!MATRIX_SETTING_RULES.charset(charset)) {
+                return fail(`matrix charset: expected ${Object.keys(MATRIX_CHARSETS).join('|')}|custom "chars"`);
+            }
+            matrix.settings.charset = charset;
+            saveMatrixSettings();
+            return `Matrix charset: ${charset === 'custom' ? custom : charset}`;
+        }
+    };
+
+    function setMatrixEnabled(enabled) {
+        matrix.settings.enabled = enabled;
+        saveMatrixSettings();
+        updateMatrix();
+
+        const reduced = matrix.reducedMotion && matrix.reducedMotion.matches;
+        if (enabled && reduced) {
+            return 'Matrix rain: on (paused: your system prefers reduced motion)';
+        }
+        return `Matrix rain: ${enabled ? 'on' : 'off'}`;
+    }
+
+    // Mobile Menu
+    function setupMobileMenu() {
+        if (elements.menuToggle && elements.navMenu) {
+            elements.menuToggle.addEventListener('click', () => {
+                elements.navMenu.classList.toggle('active');
+                const isOpen = elements.navMenu.classList.contains('active');
+                elements.menuToggle.setAttribute('aria-expanded', isOpen);
+            });
+
+            // Close menu when clicking outside
+            document.addEventListener('click', (e) => {
+                if (!elements.menuToggle.contains(e.target) && !elements.navMenu.contains(e.target)) {
+                    elements.navMenu.classList.remove('active');
+                    elements.menuToggle.setAttribute('aria-expanded', 'false');
+                }
+            });
+        }
+    }
+
+    // Quick Access Buttons
+    function setupQuickAccess() {
+        elements.quickButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.dataset.action;
+                navigateToSection(action);
+            });
+        });
+    }
+
+    // Setup Navigation
+    function setupNavigation() {
+        // In-page links go through the router; blog titles toggle their post.
+        // Delegated so links rendered later (the blog list) are covered too.
+        document.addEventListener('click', (e) => {
+            const anchor = e.target.closest('a[href^="#"]');
+            if (!anchor) return;
+
+            e.preventDefault();
+            const route = parseRoute(anchor.getAttribute('href'));
+            if (anchor.classList.contains('search-result')) {
+                // Search results also scroll to their hit
+                openSearchResult(anchor);
+            } else if (route.post) {
+                window.toggleBlogPost(route.post);
+            } else {
+                navigateToSection(route.section);
+            }
+        });
+    }
+
+    // Keybindings
+    // Every shortcut is in one keymap, under the context it applies in: 'input' while
+    // typing in the terminal input, 'paging' while the pager or top is showing, 'replay'
+    // while a session plays back and 'global' anywhere else, unless another field has
+    // focus. Keys are named like 'ctrl+l', 'alt+b', 'shift+tab', 'escape' or '1'. User
+    // bindings ('bind') run a command line, apply in the input and globally, and take
+    // precedence over the keymap.
+    // Browsers keep a few keys (Ctrl+W, Ctrl+T) for themselves outside an installed app.
+    const KEYS_KEY = 'terminal-keys';
+
+    const KEYMAP = {
+        input: {
+            'enter': 'accept-line',
+            'tab': 'complete',
+            'up': 'previous-history',
+            'down': 'next-history',
+            'ctrl+r': 'reverse-search',
+            'ctrl+c': 'interrupt',
+            'ctrl+a': 'beginning-of-line',
+            'ctrl+e': 'end-of-line',
+            'alt+b': 'backward-word',
+            'alt+f': 'forward-word',
+            'ctrl+u': 'kill-line-before',
+            'ctrl+k': 'kill-line-after',
+            'ctrl+w': 'kill-word-before',
+            'ctrl+l': 'clear-screen',
+            'escape': 'kill-whole-line'
+        },
+        paging: {
+            'space': 'next-page',
+            'pagedown': 'next-page',
+            'enter': 'next-line',
+            'down': 'next-line',
+            'q': 'quit',
+            'shift+q': 'quit',
+            'escape': 'quit',
+            'ctrl+c': 'interrupt'
+        },
+        replay: {
+            'space': 'toggle-pause',
+            'left': 'seek-backward',
+            'right': 'seek-forward',
+            'home': 'seek-start',
+            '+': 'faster',
+            '-': 'slower',
+            'q': 'quit',
+            'escape': 'quit',
+            'ctrl+c': 'interrupt'
+        },
+        global: {
+            '1': 'goto-home',
+            '2': 'goto-about',
+            '3': 'goto-projects',
+            '4': 'goto-blog',
+            '5': 'goto-contact',
+            'escape': 'goto-home',
+            'ctrl+k': 'focus-input',
+            'meta+k': 'focus-input',
+            'ctrl+l': 'clear-screen'
+        }
+    };
+
+    const KEY_CONTEXTS = {
+        input: 'Input (typing a command)',
+        paging: 'Paging (the pager and top)',
+        replay: 'Replay (a session playing back)',
+        global: 'Global (nothing else focused)',
+        user: 'User bindings (bind)'
+    };
+
+    const KEY_MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+    // KeyboardEvent.key values named differently; other names are lowercased
+    const KEY_NAMES = { ' ': 'space', ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+
+    // Keys 'bind' accepts besides single characters, and other names it understands
+    const NAMED_KEYS = ['escape', 'enter', 'tab', 'space', 'backspace', 'delete', 'insert', 'up', 'down', 'left', 'right',
+        'home', 'end', 'pageup', 'pagedown', 'f1', 'f2', 'f3', 'f4', 'f5', 'f6', 'f7', 'f8', 'f9', 'f10', 'f11', 'f12'];
+    const KEY_ALIASES = { control: 'ctrl', option: 'alt', cmd: 'meta', esc: 'escape', return: 'enter' };
+
+    // What the keymap's names do; an action returning false leaves the key to the browser
+    const keyActions = {
+        'accept-line': {
+            help: 'Run the command line',
+            run: (e) => acceptLine(e.target)
+        },
+        'complete': {
+            help: 'Complete the word; twice lists the candidates',
+            run: (e) => {
+                if (!state.ask) completeInput(e.target);
+            }
+        },
+        'previous-history': {
+            help: 'Previous command in the history',
+            run: (e) => walkHistory(e.target, -1)
+        },
+        'next-history': {
+            help: 'Next command in the history',
+            run: (e) => walkHistory(e.target, 1)
+        },
+        'reverse-search': {
+            help: 'Search the history backwards',
+            run: (e) => startReverseSearch(e.target)
+        },
+        'interrupt': {
+            help: 'Stop the running command, or abandon the line',
+            run: (e) => {
+                if (state.pager) {
+                    stopPager();
+                    return true;
+                }
+                return interruptInput(e);
+            }
+        },
+        'beginning-of-line': {
+            help: 'Move to the start of the line',
+            run: (e) => editInput(e.target, (value) => ({ value, cursor: 0 }))
+        },
+        'end-of-line': {
+            help: 'Move to the end of the line',
+            run: (e) => editInput(e.target, (value) => ({ value, cursor: value.length }))
+        },
+        'backward-word': {
+            help: 'Move back a word',
+            run: (e) => editInput(e.target, (value, cursor) => ({ value, cursor: wordStart(value, cursor) }))
+        },
+        'forward-word': {
+            help: 'Move forward a word',
+            run: (e) => editInput(e.target, (value, cursor) => ({ value, cursor: wordEnd(value, cursor) }))
+        },
+        'kill-line-before': {
+            help: 'Delete from the start of the line to the cursor',
+            run: (e) => editInput(e.target, (value, cursor) => ({ value: value.substring(cursor), cursor: 0 }))
+        },
+        'kill-line-after': {
+            help: 'Delete from the cursor to the end of the line',
+            run: (e) => editInput(e.target, (value, cursor) => ({ value: value.substring(0, cursor), cursor }))
+        },
+        'kill-whole-line': {
+            help: 'Clear the line',
+            run: (e) => editInput(e.target, () => ({ value: '', cursor: 0 }))
+        },
+        'kill-word-before': {
+            help: 'Delete the word before the cursor',
+            run: (e) => editInput(e.target, (value, cursor) => {
+                // Like bash's Ctrl+W, words here end at whitespace
+                const start = value.substring(0, cursor).replace(/\S*\s*$/, '').length;
+                return { value: value.substring(0, start) + value.substring(cursor), cursor: start };
+            })
+        },
+        'clear-screen': {
+            help: 'Clear the output (runs clear)',
+            run: () => {
+                shell.executeCommand('clear');
+            }
+        },
+        'focus-input': {
+            help: 'Focus the terminal input',
+            run: () => {
+                if (elements.terminalInput) elements.terminalInput.focus();
+            }
+        },
+        'next-page': {
+            help: 'Show the next page',
+            run: () => {
+                if (state.pager) advancePager(PAGER_LINES);
+            }
+        },
+        'next-line': {
+            help: 'Show the next line',
+            run: () => {
+                if (state.pager) advancePager(1);
+            }
+        },
+        'quit': {
+            help: 'Quit the pager, top or a replay',
+            run: () => {
+                if (state.pager) {
+                    stopPager();
+                } else if (state.top) {
+                    state.top.quit();
+                } else if (state.replay) {
+                    state.replay.quit();
+                }
+            }
+        },
+        'toggle-pause': {
+            help: 'Pause or resume the replay',
+            run: () => state.replay.toggle()
+        },
+        'seek-backward': {
+            help: `Go back ${REPLAY_SEEK_STEP} seconds`,
+            run: () => state.replay.seekBy(-REPLAY_SEEK_STEP)
+        },
+        'seek-forward': {
+            help: `Skip ahead ${REPLAY_SEEK_STEP} seconds`,
+            run: () => state.replay.seekBy(REPLAY_SEEK_STEP)
+        },
+        'seek-start': {
+            help: 'Go back to the start',
+            run: () => state.replay.seekTo(0)
+        },
+        'faster': {
+            help: 'Play faster',
+            run: () => state.replay.changeSpeed(1)
+        },
+        'slower': {
+            help: 'Play slower',
+            run: () => state.replay.changeSpeed(-1)
+        }
+    };
+
+    ['home', 'about', 'projects', 'blog', 'contact'].forEach(section => {
+        keyActions[`goto-${section}`] = {
+            help: `Show the ${section} section`,
+            run: () => navigateToSection(section)
+        };
+    });
+
+    // Key names and the command lines bound to them, kept in localStorage
+    let userBindings = {};
+
+    function setupKeybindings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(KEYS_KEY));
+            if (saved && typeof saved === 'object') {
+                Object.entries(saved).forEach(([key, command]) => {
+                    if (parseKeyName(key) === key && typeof command === 'string') {
+                        userBindings[key] = command;
+                    }
+                });
+            }
+        } catch (err) {
+            // Storage unavailable or corrupt; no user bindings
+        }
+
+        document.addEventListener('keydown', handleDocumentKey);
+    }
+
+    function saveKeybindings() {
+        try {
+            localStorage.setItem(KEYS_KEY, JSON.stringify(userBindings));
+        } catch (err) {
+            // Storage unavailable; bindings last until the page is closed
+        }
+    }
+
+    // Keys typed in the terminal input are dispatched by handleTerminalInput
+    function handleDocumentKey(e) {
+        watchKonamiCode(e);
+        if (e.target === elements.terminalInput) return;
+
+        if (state.pager || state.top) {
+            dispatchKey(e, 'paging');
+        } else if (state.replay) {
+            dispatchKey(e, 'replay');
+        } else if (!isEditable(e.target)) {
+            dispatchKey(e, 'global');
+        }
+    }
+
+    function dispatchKey(e, context) {
+        const name = keyName(e);
+        const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+        if ((context === 'input' || context === 'global') && hasOwn(userBindings, name)) {
+            e.preventDefault();
+            // Like a line typed at the prompt, a bound command waits for the foreground job
+            if (!state.foregroundJob) {
+                echoCommand(userBindings[name]);
+                runForegroundJob(userBindings[name]);
+            }
+        } else if (hasOwn(KEYMAP[context], name)) {
+            if (keyActions[KEYMAP[context][name]].run(e) !== false) e.preventDefault();
+        } else if ((context === 'paging' || context === 'replay') && e.target === elements.terminalInput) {
+            // The line is hidden behind the pager or replay; don't type into it
+            e.preventDefault();
+        }
+    }
+
+    function isEditable(target) {
+        return Boolean(target) && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    }
+
+    // The key pressed, named as in the keymap. Shift is only named for letters and
+    // named keys; for other characters it is part of the character ('!', not 'shift+1').
+    function keyName(e) {
+        let key = KEY_NAMES[e.key] || e.key.toLowerCase();
+        // Alt changes the character on macOS (Alt+B types ∫); name the key instead
+        if (e.altKey && /^(Key[A-Z]|Digit\d)$/.test(e.code || '')) {
+            key = e.code.slice(-1).toLowerCase();
+        }
+
+        const modifiers = [
+            e.ctrlKey && 'ctrl',
+            e.altKey && 'alt',
+            e.shiftKey && (key.length > 1 || /[a-z]/.test(key)) && 'shift',
+            e.metaKey && 'meta'
+        ].filter(Boolean);
+        return modifiers.concat(key).join('+');
+    }
+
+    // A key name as given to 'bind', in the form keyName uses ('Ctrl+G' is 'ctrl+g');
+    // null if it isn't one
+    function parseKeyName(text) {
+        const match = String(text).toLowerCase().match(/^((?:[a-z]+\+)*)(.+)$/);
+        if (!match) return null;
+
+        const modifiers = match[1].split('+').filter(Boolean).map(name => KEY_ALIASES[name] || name);
+        const key = KEY_ALIASES[match[2]] || match[2];
+        if (key.length > 1 && !NAMED_KEYS.includes(key)) return null;
+        if (modifiers.some(modifier => !KEY_MODIFIERS.includes(modifier))) return null;
+        if (new Set(modifiers).size !== modifiers.length) return null;
+        if (modifiers.includes('shift') && key.length === 1 && !/[a-z]/.test(key)) return null;
+
+        return KEY_MODIFIERS.filter(modifier => modifiers.includes(modifier)).concat(key).join('+');
+    }
+
+    // A binding needs Ctrl, Alt or Meta, or a function key, so typing and editing still work
+    function isBindable(name) {
+        return /(^|\+)(ctrl|alt|meta)\+/.test(name) || /(^|\+)f\d+$/.test(name);
+    }
+
+    function formatKeymap(context) {
+        const bindings = context === 'user'
+            ? Object.entries(userBindings)
+            : Object.entries(KEYMAP[context]).map(([key, action]) => [key, keyActions[action].help]);
+        return `${KEY_CONTEXTS[context]}:\n${bindings.length ? formatTable(bindings, { indent: '  ' }) : '  (none)'}`;
+    }
+
+    // Line Editing
+    // edit(value, cursor) returns the input's new value and cursor
+    function editInput(input, edit) {
+        const cursor = input.selectionStart === null ? input.value.length : input.selectionStart;
+        const result = edit(input.value, cursor);
+        input.value = result.value;
+        input.setSelectionRange(result.cursor, result.cursor);
+    }
+
+    // Word motions stop at letters and digits, like readline's
+    function wordStart(value, cursor) {
+        return value.substring(0, cursor).replace(/[a-z0-9]*[^a-z0-9]*$/i, '').length;
+    }
+
+    function wordEnd(value, cursor) {
+        return cursor + value.substring(cursor).match(/^[^a-z0-9]*[a-z0-9]*/i)[0].length;
+    }
+
+    // Terminal Themes
+    // A theme is a palette for the CSS variables terminal.css uses. Built-in themes list
+    // what differs from the default; --border and --shadow-glow follow --text-primary
+    // in the stylesheet unless a theme sets them. The choice and custom themes are
+    // kept in localStorage; with no choice made the theme follows prefers-color-scheme.
+    const THEME_KEY = 'terminal-theme';
+    const CUSTOM_THEMES_KEY = 'terminal-themes';
+
+    const THEME_VARIABLES = [
+        '--bg-primary', '--bg-secondary', '--bg-terminal',
+        '--text-primary', '--text-secondary', '--text-muted',
+        '--accent-cyan', '--accent-magenta', '--accent-yellow', '--accent-pink',
+        '--error', '--success', '--border', '--shadow-glow',
+        '--font-pixel', '--font-mono'
+    ];
+
+    // Colors terminal.css also uses as --*-rgb channel lists, for translucent glows
+    const THEME_RGB_VARIABLES = ['--bg-primary', '--text-primary', '--accent-cyan'];
+
+    const themes = {
+        default: {
+            '--bg-primary': '#0a0e27',
+            '--bg-secondary': '#0d1117',
+            '--bg-terminal': '#000814',
+            '--text-primary': '#00ff41',
+            '--text-secondary': '#00d9ff',
+            '--text-muted': '#8892b0',
+            '--accent-cyan': '#00d9ff',
+            '--accent-magenta': '#ff00ff',
+            '--accent-yellow': '#ffff00',
+            '--accent-pink': '#ff0080',
+            '--error': '#ff0040',
+            '--success': '#00ff00',
+            '--font-pixel': "'VT323', monospace",
+            '--font-mono': "'JetBrains Mono', 'Courier New', monospace"
+        },
+        amber: {
+            '--bg-primary': '#1a0f00',
+            '--bg-secondary': '#140c00',
+            '--bg-terminal': '#0d0800',
+            '--text-primary': '#ffb000',
+            '--text-secondary': '#ff6b00',
+            '--text-muted': '#a08060',
+            '--accent-cyan': '#ff6b00',
+            '--accent-yellow': '#ffd060',
+            '--success': '#ffb000'
+        },
+        ice: {
+            '--bg-primary': '#000033',
+            '--bg-secondary': '#00001f',
+            '--bg-terminal': '#000014',
+            '--text-primary': '#00ffff',
+            '--text-secondary': '#0080ff',
+            '--text-muted': '#7090b0',
+            '--accent-cyan': '#0080ff',
+            '--success': '#00ffcc'
+        },
+        // Used when the system asks for a light color scheme
+        paper: {
+            '--bg-primary': '#f4f1e8',
+            '--bg-secondary': '#e9e4d6',
+            '--bg-terminal': '#fbf9f3',
+            '--text-primary': '#1d5c2e',
+            '--text-secondary': '#005f87',
+            '--text-muted': '#6b6b6b',
+            '--accent-cyan': '#005f87',
+            '--accent-magenta': '#a0158c',
+            '--accent-yellow': '#8a6d00',
+            '--accent-pink': '#b0154f',
+            '--error': '#c0001a',
+            '--success': '#1a7f1a'
+        }
+    };
+
+    let customThemes = {};
+
+    function loadThemes() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CUSTOM_THEMES_KEY));
+            if (saved && typeof saved === 'object') {
+                customThemes = saved;
+            }
+        } catch (err) {
+            // Storage unavailable or corrupt; only the built-in themes exist
+        }
+
+        let current = null;
+        try {
+            current = JSON.parse(localStorage.getItem(THEME_KEY));
+        } catch (err) {
+            // Fall back to the system theme
+        }
+
+        if (current && findTheme(current.name)) {
+            state.theme = { name: current.name, overrides: current.overrides || {}, auto: false };
+        } else {
+            state.theme = { name: systemThemeName(), overrides: {}, auto: true };
+        }
+        applyTheme(currentPalette());
+
+        if (window.matchMedia) {
+            const scheme = window.matchMedia('(prefers-color-scheme: light)');
+            const followSystem = () => {
+                if (state.theme.auto) {
+                    state.theme.name = systemThemeName();
+                    applyTheme(currentPalette());
+                }
+            };
+            if (scheme.addEventListener) {
+                scheme.addEventListener('change', followSystem);
+            }
+        }
+    }
+
+    function saveThemes() {
+        try {
+            if (state.theme.auto) {
+                localStorage.removeItem(THEME_KEY);
+            } else {
+                localStorage.setItem(THEME_KEY, JSON.stringify({ name: state.theme.name, overrides: state.theme.overrides }));
+            }
+            localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify(customThemes));
+        } catch (err) {
+            // Storage unavailable (private mode, quota); the theme lasts until reload
+        }
+    }
+
+    function systemThemeName() {
+        const light = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches;
+        return light ? 'paper' : 'default';
+    }
+
+    function findTheme(name) {
+        if (Object.prototype.hasOwnProperty.call(themes, name)) return themes[name];
+        if (Object.prototype.hasOwnProperty.call(customThemes, name)) return customThemes[name];
+        return null;
+    }
+
+    // Built-in themes and subcommand names can't be taken by custom themes
+    function isReservedThemeName(name) {
+        return Object.prototype.hasOwnProperty.call(themes, name) || Object.prototype.hasOwnProperty.call(themeCommands, name);
+    }
+
+    function themeNames() {
+        return Object.keys(themes).concat(Object.keys(customThemes));
+    }
+
+    // The full palette of a theme: the default filled in with the theme's own values
+    function resolveTheme(name) {
+        return Object.assign({}, themes.default, findTheme(name));
+    }
+
+    function currentPalette() {
+        return Object.assign(resolveTheme(state.theme.name), state.theme.overrides);
+    }
+
+    function changeTheme(name) {
+        state.theme = { name, overrides: {}, auto: false };
+        applyTheme(currentPalette());
+        saveThemes();
+    }
+
+    function applyTheme(palette) {
+        const root = document.documentElement;
+        THEME_VARIABLES.forEach(variable => {
+            if (palette[variable]) {
+                root.style.setProperty(variable, palette[variable]);
+            } else {
+                root.style.removeProperty(variable);
+            }
+        });
+
+        // Translucent glows in terminal.css are built from these channel lists
+        THEME_RGB_VARIABLES.forEach(variable => {
+            const rgb = parseColor(palette[variable]);
+            if (rgb) {
+                root.style.setProperty(`${variable}-rgb`, rgb.join(', '));
+            }
+        });
+
+        matrixColors.glyph = palette['--text-primary'];
+        const background = parseColor(palette['--bg-primary']);
+        if (background) {
+            matrixColors.fade = `rgba(${background.join(', ')}, 0.05)`;
+        }
+
+        // Browser chrome and the installed app's title bar follow the theme
+        const themeColor = document.querySelector('meta[name="theme-color"]');
+        if (themeColor) {
+            themeColor.setAttribute('content', palette['--bg-primary']);
+        }
+    }
+
+    // Any CSS color as [r, g, b], as the browser resolves it on a probe element (names,
+    // hsl() and the rest included); null for a value that isn't a color or doesn't
+    // resolve to rgb
+    function parseColor(value) {
+        const text = String(value || '').trim();
+        const probe = document.createElement('span');
+        probe.style.color = text;
+        if (!text || !probe.style.color) return null;
+
+        document.body.appendChild(probe);
+        const computed = getComputedStyle(probe).color;
+        probe.remove();
+
+        const rgb = computed.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i);
+        return rgb ? rgb.slice(1, 4).map(channel => Math.round(Number(channel))) : null;
+    }
+
+    // Returns an error message for a value the variable can't take, otherwise null
+    function validateThemeValue(variable, value) {
+        if (!THEME_VARIABLES.includes(variable)) {
+            return `unknown variable '${variable}' (see theme export)`;
+        }
+        const property = variable.startsWith('--font') ? 'font-family'
+            : variable === '--shadow-glow' ? 'box-shadow'
+            : 'color';
+        if (typeof value !== 'string' || !value.trim()) {
+            return `${variable}: missing value`;
+        }
+        if (window.CSS && CSS.supports && !CSS.supports(property, value)) {
+            return `${variable}: invalid ${property} '${value}'`;
+        }
+        if (THEME_RGB_VARIABLES.includes(variable) && !parseColor(value)) {
+            return `${variable}: '${value}' has no rgb value for the glows built from it`;
+        }
+        return null;
+    }
+
+    // Show a theme until the next key press, without making it the current theme
+    function previewTheme(name) {
+        if (state.themePreview) {
+            document.removeEventListener('keydown', state.themePreview, true);
+        }
+
+        const restore = () => {
+            document.removeEventListener('keydown', restore, true);
+            state.themePreview = null;
+            applyTheme(currentPalette());
+        };
+        state.themePreview = restore;
+        applyTheme(resolveTheme(name));
+
+        // Deferred so the Enter that ran the command doesn't end the preview
+        setTimeout(() => {
+            if (state.themePreview === restore) {
+                document.addEventListener('keydown', restore, true);
+            }
+        }, 0);
+    }
+
+    function formatPalette(palette) {
+        const rows = THEME_VARIABLES.filter(variable => palette[variable]).map(variable => [variable, palette[variable]]);
+        return formatTable(rows, { indent: '  ' });
+    }
+
+    // Theme Command
+    // Subcommands of 'theme'; anything else is taken as a theme name
+    const themeCommands = {
+        list: () => {
+            return themeNames().map(name => {
+                const marker = name === state.theme.name ? '*' : ' ';
+                const notes = [];
+                if (Object.prototype.hasOwnProperty.call(customThemes, name)) notes.push('custom');
+                if (name === state.theme.name && state.theme.auto) notes.push('system');
+                if (name === state.theme.name && Object.keys(state.theme.overrides).length) notes.push('modified');
+                return `${marker} ${name}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+            }).join('\n');
+        },
+        preview: (args) => {
+            const name = args[0];
+            if (!name) {
+                return fail('theme preview: missing theme (see theme list)');
+            }
+            if (!findTheme(name)) {
+                return fail(`theme preview: ${name}: no such theme`);
+            }
+            previewTheme(name);
+            return `Previewing ${name} until the next key press. Keep it with: theme ${name}\n\n${formatPalette(resolveTheme(name))}`;
+        },
+        set: (args) => {
+            if (!args.length || args.length % 2) {
+                return fail('usage: theme set --variable value [--variable value...]');
+            }
+
+            const changes = {};
+            for (let i = 0; i < args.length; i += 2) {
+                const error = validateThemeValue(args[i], args[i + 1]);
+                if (error) {
+                    return fail(`theme set: ${error}`);
+                }
+                changes[args[i]] = args[i + 1];
+            }
+
+            Object.assign(state.theme.overrides, changes);
+            state.theme.auto = false;
+            applyTheme(currentPalette());
+            saveThemes();
+            return `Updated ${Object.keys(changes).join(', ')}. Save it with: theme save <name>`;
+        },
+        save: (args) => {
+            const name = args[0];
+            if (!name) {
+                return fail('theme save: missing name');
+            }
+            if (isReservedThemeName(name)) {
+                return fail(`theme save: ${name}: name is reserved`);
+            }
+
+            customThemes[name] = currentPalette();
+            changeTheme(name);
+            return `Saved theme: ${name}`;
+        },
+        rm: (args) => {
+            const name = args[0];
+            if (!Object.prototype.hasOwnProperty.call(customThemes, name)) {
+                return fail(`theme rm: ${name || ''}: no such custom theme`);
+            }
+
+            delete customThemes[name];
+            if (state.theme.name === name) {
+                state.theme = { name: systemThemeName(), overrides: {}, auto: true };
+                applyTheme(currentPalette());
+            }
+            saveThemes();
+            return `Removed theme: ${name}`;
+        },
+        export: (args) => {
+            const name = args[0] || state.theme.name;
+            if (!findTheme(name)) {
+                return fail(`theme export: ${name}: no such theme`);
+            }
+            const colors = name === state.theme.name ? currentPalette() : resolveTheme(name);
+            return JSON.stringify({ name, colors }, null, 2);
+        },
+        // Reads the JSON from its arguments or from a pipe: theme export | theme import
+        import: (args, stdin) => {
+            const text = args.length ? args.join(' ') : stdin;
+            if (!text) {
+                return fail("usage: theme import '{\"name\": ..., \"colors\": {...}}'");
+            }
+
+            let theme;
+            try {
+                theme = JSON.parse(text);
+            } catch (err) {
+                return fail(`theme import: invalid JSON (${err.message})`);
+            }
+            if (!theme || typeof theme.name !== 'string' || !theme.name || typeof theme.colors !== 'object' || !theme.colors) {
+                return fail('theme import: expected {"name": ..., "colors": {...}}');
+            }
+            if (isReservedThemeName(theme.name)) {
+                return fail(`theme import: ${theme.name}: name is reserved`);
+            }
+
+            for (const [variable, value] of Object.entries(theme.colors)) {
+                const error = validateThemeValue(variable, value);
+                if (error) {
+                    return fail(`theme import: ${error}`);
+                }
+            }
+
+            customThemes[theme.name] = Object.assign({}, theme.colors);
+            changeTheme(theme.name);
+            return `Imported theme: ${theme.name}`;
+        },
+        auto: () => {
+            state.theme = { name: systemThemeName(), overrides: {}, auto: true };
+            applyTheme(currentPalette());
+            saveThemes();
+            return `Following the system color scheme (${state.theme.name})`;
+        }
+    };
+
+    // Sound Effects
+    // Synthesized with WebAudio, so there is nothing to download and they work offline.
+    // Muted by default. The AudioContext is created and resumed only while handling a
+    // user gesture ('sound on', a key press), as autoplay policies require; until it is
+    // running, sounds are skipped rather than queued.
+    const SOUND_KEY = 'terminal-sound';
+
+    const sound = {
+        settings: {
+            enabled: false,
+            volume: 0.3
+        },
+        context: null,
+        master: null,
+        clickBuffer: null
+    };
+
+    function loadSoundSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SOUND_KEY));
+            if (saved && typeof saved === 'object') {
+                Object.assign(sound.settings, saved);
+            }
+        } catch (err) {
+            // Storage unavailable or corrupt; stay muted
+        }
+
+        // Any gesture may unlock a context that was created suspended
+        ['keydown', 'pointerdown'].forEach(type => {
+            document.addEventListener(type, () => {
+                if (sound.settings.enabled && sound.context && sound.context.state === 'suspended') {
+                    sound.context.resume().catch(() => {});
+                }
+            }, true);
+        });
+    }
+
+    function saveSoundSettings() {
+        try {
+            localStorage.setItem(SOUND_KEY, JSON.stringify(sound.settings));
+        } catch (err) {
+            // Storage unavailable; settings last until reload
+        }
+    }
+
+    function audioContext() {
+        if (!sound.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) return null;
+
+            sound.context = new AudioContext();
+            sound.master = sound.context.createGain();
+            sound.master.gain.value = sound.settings.volume;
+            sound.master.connect(sound.context.destination);
+        }
+        if (sound.context.state === 'suspended') {
+            sound.context.resume().catch(() => {});
+        }
+        return sound.context;
+    }
+
+    function playSound(type) {
+        if (!sound.settings.enabled || !SOUNDS[type]) return;
+
+        const ctx = audioContext();
+        if (ctx && ctx.state === 'running') {
+            SOUNDS[type](ctx);
+        }
+    }
+
+    // An oscillator with a short attack and exponential decay, optionally sweeping pitch
+    function tone(ctx, { type = 'square', from, to = from, start = 0, duration, gain = 0.2, destination = sound.master }) {
+        const oscillator = ctx.createOscillator();
+        const envelope = ctx.createGain();
+        const time = ctx.currentTime + start;
+
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(from, time);
+        if (to !== from) {
+            oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+        }
+        envelope.gain.setValueAtTime(0.0001, time);
+        envelope.gain.exponentialRampToValueAtTime(gain, time + Math.min(0.01, duration / 4));
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        oscillator.connect(envelope).connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.05);
+    }
+
+    const SOUNDS = {
+        // A burst of decaying noise, pitched slightly differently each time
+        key: (ctx) => {
+            if (!sound.clickBuffer) {
+                const length = Math.floor(ctx.sampleRate * 0.025);
+                sound.clickBuffer = ctx.createBuffer(1, length, ctx.sampleRate);
+                const data = sound.clickBuffer.getChannelData(0);
+                for (let i = 0; i < length; i++) {
+                    data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 4);
+                }
+            }
+
+            const source = ctx.createBufferSource();
+            const gain = ctx.createGain();
+            source.buffer = sound.clickBuffer;
+            source.playbackRate.value = 0.85 + Math.random() * 0.3;
+            gain.gain.value = 0.4;
+            source.connect(gain).connect(sound.master);
+            source.start();
+        },
+        error: (ctx) => {
+            tone(ctx, { from: 220, duration: 0.12, gain: 0.15 });
+            tone(ctx, { from: 165, start: 0.14, duration: 0.18, gain: 0.15 });
+        },
+        nav: (ctx) => {
+            tone(ctx, { type: 'sine', from: 660, to: 1320, duration: 0.09, gain: 0.2 });
+        },
+        // Two detuned saws through a low-pass filter, swelling and fading out
+        boot: (ctx) => {
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = 400;
+            filter.connect(sound.master);
+
+            [55, 110.5].forEach(frequency => {
+                const oscillator = ctx.createOscillator();
+                const envelope = ctx.createGain();
+                const time = ctx.currentTime;
+
+                oscillator.type = 'sawtooth';
+                oscillator.frequency.value = frequency;
+                envelope.gain.setValueAtTime(0.0001, time);
+                envelope.gain.exponentialRampToValueAtTime(0.12, time + 0.5);
+                envelope.gain.setValueAtTime(0.12, time + 1.5);
+                envelope.gain.exponentialRampToValueAtTime(0.0001, time + 2.5);
+
+                oscillator.connect(envelope).connect(filter);
+                oscillator.start(time);
+                oscillator.stop(time + 2.6);
+            });
+        }
+    };
+
+    // Sound Command
+    const soundCommands = {
+        on: () => {
+            if (!audioContext()) {
+                return fail('sound: WebAudio is not supported in this browser');
+            }
+            sound.settings.enabled = true;
+            saveSoundSettings();
+            playSound('nav');
+            return `Sound: on (volume ${sound.settings.volume})`;
+        },
+        off: () => {
+            sound.settings.enabled = false;
+            saveSoundSettings();
+            return 'Sound: off';
+        },
+        volume: (args) => {
+            const volume = Number(args[0]);
+            if (!args[0] || !(volume >= 0 && volume <= 1)) {
+                return fail('sound volume: expected a number from 0 to 1');
+            }
+            sound.settings.volume = volume;
+            if (sound.master) {
+                sound.master.gain.value = volume;
+            }
+            saveSoundSettings();
+            return `Sound volume: ${volume}`;
+        },
+        test: async (args, signal) => {
+            if (!sound.settings.enabled) {
+                return fail("sound test: sound is off (turn it on with 'sound on')");
+            }
+            for (const type of Object.keys(SOUNDS)) {
+                playSound(type);
+                await sleep(type === 'boot' ? 2600 : 500, signal);
+            }
+            return `Played: ${Object.keys(SOUNDS).join(', ')}`;
+        }
+    };
+
+    // Konami Code Easter Egg
+    // Watched on every key press, wherever it is typed (see handleDocumentKey)
+    const konamiCode = ['up', 'up', 'down', 'down', 'left', 'right', 'left', 'right', 'b', 'a'];
+    let konamiIndex = 0;
+
+    function watchKonamiCode(e) {
+        if (keyName(e) === konamiCode[konamiIndex]) {
+            konamiIndex++;
+            if (konamiIndex === konamiCode.length) {
+                activateKonamiCode();
+                konamiIndex = 0;
+            }
+        } else {
+            konamiIndex = 0;
+        }
+    }
+
+    function activateKonamiCode() {
+        displayOutput('🎮 KONAMI CODE ACTIVATED! You unlocked the secret mode!');
+        document.body.style.animation = 'rainbow 2s linear infinite';
+        
+        const style = document.createElement('style');
+        style.textContent = `
+            @keyframes rainbow {
+                0% { filter: hue-rotate(0deg); }
+                100% { filter: hue-rotate(360deg); }
+            }
+        `;
+        document.head.appendChild(style);
+
+        setTimeout(() => {
+            document.body.style.animation = '';
+            style.remove();
+        }, 10000);
+    }
+
+    // Projects
+    // Cards are rendered from window.Projects (assets/js/projects.js). Clicking a tag
+    // filters the grid the same way 'projects --tag' filters the command's table;
+    // clicking it again, or the clear button, shows everything.
+    function setupProjects() {
+        renderProjects();
+
+        const section = document.getElementById('projects');
+        if (!section) return;
+
+        section.addEventListener('click', (e) => {
+            const tag = e.target.closest('.tag[data-tag]');
+            if (tag) {
+                const selected = tag.dataset.tag;
+                state.projectTag = state.projectTag && state.projectTag.toLowerCase() === selected.toLowerCase() ? null : selected;
+                renderProjects();
+            } else if (e.target.closest('.projects-filter-clear')) {
+                state.projectTag = null;
+                renderProjects();
+            }
+        });
+    }
+
+    function renderProjects() {
+        const grid = document.querySelector('.projects-grid');
+        if (!grid) return;
+
+        const selected = state.projectTag;
+        grid.innerHTML = projectCardsHtml(shell.filterProjects({ tag: selected }), selected);
+
+        const filter = document.querySelector('.projects-filter');
+        const escape = Markdown.escapeHtml;
+        if (filter) {
+            filter.hidden = !selected;
+            filter.innerHTML = selected
+                ? `<span class="prompt">$</span> projects --tag ${escape(quoteWord(selected))} <button type="button" class="projects-filter-clear">[x] clear</button>`
+                : '';
+        }
+    }
+
+    // Card markup for the grid, with the tag being filtered on highlighted
+    function projectCardsHtml(projects, selected) {
+        const escape = Markdown.escapeHtml;
+        const isSelected = (tag) => Boolean(selected) && tag.toLowerCase() === selected.toLowerCase();
+
+        return projects.map(project => {
+            const progress = Math.max(0, Math.min(100, Number(project.progress) || 0));
+            const tags = project.tags.map(tag => {
+                return `<button type="button" class="tag${isSelected(tag) ? ' active' : ''}" data-tag="${escape(tag)}" aria-pressed="${isSelected(tag)}">${escape(tag)}</button>`;
+            }).join('\n                                ');
+
+            return `
+                    <article class="project-card" data-project="${escape(project.id)}">
+                        <div class="project-header">
+                            <span class="project-icon">${escape(project.icon)}</span>
+                            <h3>${escape(project.name)}</h3>
+                        </div>
+                        <div class="project-body">
+                            <p>${escape(project.description)}</p>
+                            <div class="project-tags">
+                                ${tags}
+                            </div>
+                        </div>
+                        <div class="project-footer">
+                            <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress}">
+                                <div class="progress-fill" style="width: ${progress}%"></div>
+                            </div>
+                            <span class="status">${escape(project.status)}</span>
+                        </div>
+                    </article>`;
+        }).join('');
+    }
+
+    // Search
+    // 'search' looks for a phrase, case-insensitively, in the About, Projects and
+    // Contact sections and in every blog post. The index holds each document's text
+    // exactly as the page shows it, so the n-th hit in the index is the n-th hit in
+    // the DOM and a result can jump straight to it.
+    const SEARCH_CONTEXT = 72;
+    const SEARCH_HITS_SHOWN = 3;
+    let searchIndexLoading = null;
+
+    function loadSearchIndex() {
+        if (!searchIndexLoading) {
+            searchIndexLoading = loadBlogIndex()
+                .then(() => Promise.all(Object.keys(blogPosts).map(postId => loadBlogPost(postId))))
+                .then(posts => {
+                    const documents = ['about', 'projects', 'contact'].map(sectionDocument).filter(Boolean);
+                    posts.forEach(post => {
+                        documents.push({
+                            id: `blog/${post.id}`,
+                            path: `blog/${post.id}.md`,
+                            title: post.title,
+                            post: post.id,
+                            text: htmlToText(post.content)
+                        });
+                    });
+                    return documents;
+                })
+                .catch(err => {
+                    searchIndexLoading = null;
+                    throw err;
+                });
+        }
+        return searchIndexLoading;
+    }
+
+    function sectionDocument(sectionId) {
+        const section = document.getElementById(sectionId);
+        const title = section && section.querySelector('.section-title');
+        if (!title) return null;
+
+        const fileName = title.textContent.replace('►', '').trim();
+        // The projects grid may be filtered; index every card, as shown once the filter is cleared
+        const text = sectionId === 'projects'
+            ? htmlToText(projectCardsHtml(Projects))
+            : (searchContainer({ section: sectionId }) || { textContent: '' }).textContent;
+
+        return { id: sectionId, path: `${sectionId}/${fileName}`, title: fileName, section: sectionId, text };
+    }
+
+    function htmlToText(html) {
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        return container.textContent;
+    }
+
+    // The element of a document whose text is indexed
+    function searchContainer(doc) {
+        if (doc.post) {
+            const entry = postEntry(doc.post);
+            return entry && entry.querySelector('.blog-post-content');
+        }
+        if (doc.section === 'projects') {
+            return document.querySelector('.projects-grid');
+        }
+        const section = document.getElementById(doc.section);
+        return section && section.querySelector('pre');
+    }
+
+    // Start offsets of every non-overlapping, case-insensitive occurrence
+    function findOccurrences(text, query) {
+        const haystack = text.toLowerCase();
+        const needle = query.toLowerCase();
+        const offsets = [];
+        let offset = haystack.indexOf(needle);
+        while (offset !== -1) {
+            offsets.push(offset);
+            offset = haystack.indexOf(needle, offset + needle.length);
+        }
+        return offsets;
+    }
+
+    // Documents with hits, best first: every hit counts once, a hit in the title five times
+    function searchDocuments(documents, query) {
+        return documents
+            .map(doc => {
+                const hits = findOccurrences(doc.text, query);
+                return { doc, hits, score: hits.length + findOccurrences(doc.title, query).length * 5 };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // The line around a hit, cut down to SEARCH_CONTEXT characters centred on the match
+    function hitContext(text, offset, length) {
+        const lineStart = text.lastIndexOf('\n', offset) + 1;
+        const lineEnd = text.indexOf('\n', offset) === -1 ? text.length : text.indexOf('\n', offset);
+        const line = text.substring(lineStart, lineEnd);
+        const leading = line.length - line.trimStart().length;
+
+        let start = Math.max(lineStart + leading, offset - Math.floor((SEARCH_CONTEXT - length) / 2));
+        const end = Math.min(lineStart + line.trimEnd().length, start + SEARCH_CONTEXT);
+        start = Math.max(lineStart + leading, Math.min(start, end - SEARCH_CONTEXT));
+
+        return {
+            before: (start > lineStart + leading ? '…' : '') + text.substring(start, offset),
+            match: text.substring(offset, offset + length),
+            after: text.substring(offset + length, end) + (end < lineStart + line.trimEnd().length ? '…' : '')
+        };
+    }
+
+    function renderSearchResults(results, query) {
+        const escape = Markdown.escapeHtml;
+        const total = results.reduce((sum, result) => sum + result.hits.length, 0);
+        const lines = [`<span class="comment">// ${total} match${total === 1 ? '' : 'es'} for "${escape(query)}" in ${results.length} place${results.length === 1 ? '' : 's'}</span>`];
+
+        results.forEach(({ doc, hits }) => {
+            const route = doc.post ? `#/blog/${encodeURIComponent(doc.post)}` : `#/${doc.section}`;
+            lines.push('', `<span class="keyword">${escape(doc.path)}</span>  <span class="comment">${escape(doc.title)} (${hits.length})</span>`);
+
+            hits.slice(0, SEARCH_HITS_SHOWN).forEach((offset, occurrence) => {
+                const { before, match, after } = hitContext(doc.text, offset, query.length);
+                lines.push(`  <a href="${route}" class="search-result" data-document="${escape(doc.id)}" data-occurrence="${occurrence}">` +
+                    `${escape(before)}<mark class="search-hit">${escape(match)}</mark>${escape(after)}</a>`);
+            });
+            if (hits.length > SEARCH_HITS_SHOWN) {
+                lines.push(`  <span class="comment">… ${hits.length - SEARCH_HITS_SHOWN} more</span>`);
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    // Show the section or post of a result and scroll to its hit
+    async function openSearchResult(anchor) {
+        const documents = await loadSearchIndex();
+        const doc = documents.find(candidate => candidate.id === anchor.dataset.document);
+        if (!doc) return;
+
+        if (doc.post) {
+            const entry = postEntry(doc.post);
+            if (entry && !entry.classList.contains('expanded')) {
+                await window.toggleBlogPost(doc.post);
+            } else {
+                navigateToSection('blog');
+            }
+        } else {
+            navigateToSection(doc.section);
+            if (doc.section === 'projects' && state.projectTag) {
+                state.projectTag = null;
+                renderProjects();
+            }
+        }
+
+        const container = searchContainer(doc);
+        const query = anchor.querySelector('.search-hit').textContent;
+        if (container) {
+            markOccurrence(container, query, Number(anchor.dataset.occurrence));
+        }
+    }
+
+    function markOccurrence(container, query, occurrence) {
+        document.querySelectorAll('mark.search-mark').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+
+        const offset = findOccurrences(container.textContent, query)[occurrence];
+        if (offset === undefined) return;
+
+        // Find the text node the hit starts in; a hit running into the next node is cut there
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        let start = 0;
+        let node = walker.nextNode();
+        while (node && offset >= start + node.length) {
+            start += node.length;
+            node = walker.nextNode();
+        }
+        if (!node) return;
+
+        const range = document.createRange();
+        range.setStart(node, offset - start);
+        range.setEnd(node, Math.min(node.length, offset - start + query.length));
+        const mark = document.createElement('mark');
+        mark.className = 'search-mark';
+        range.surroundContents(mark);
+        mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // Blog
+    // The shell loads the post index and the posts (see terminal-core.js); the BLOG
+    // section lists them and expands a post in place, fetching it the first time.
+    function setupBlog() {
+        return loadBlogIndex()
+            .then(() => {
+                renderBlogList();
+
+                // A deep link to a post can only be honoured once its entry exists
+                const route = currentRoute();
+                if (route.post) {
+                    applyRoute(route);
+                }
+            })
+            .catch(() => {
+                const container = document.querySelector('.blog-entries');
+                if (container) {
+                    container.innerHTML = '<p class="blog-excerpt">Error: could not load posts. Try again later.</p>';
+                }
+            });
+    }
+
+    // Page a post opened with 'blog read' into the output pane
+    function showPost(post) {
+        const escape = Markdown.escapeHtml;
+        const header = [
+            `<span class="keyword">${escape(post.title)}</span>`,
+            `<span class="comment">[${escape(formatPostDate(post.date))}]${post.tags && post.tags.length ? ' #' + post.tags.map(escape).join(' #') : ''}</span>`,
+            ''
+        ];
+        startPager(header.concat(post.content.split('\n')));
+    }
+
+    function renderBlogList() {
+        const container = document.querySelector('.blog-entries');
+        // Prerendered pages already carry the list (and any open post); keep it
+        if (!container || container.hasAttribute('data-prerendered')) return;
+
+        const escape = Markdown.escapeHtml;
+        container.innerHTML = Object.values(blogPosts).map(post => `
+                    <article class="blog-entry" data-post="${escape(post.id)}">
+                        <time class="blog-date" datetime="${escape(post.date)}">[${escape(formatPostDate(post.date))}]</time>
+                        <h3 class="blog-title">
+                            <a href="#/blog/${escape(encodeURIComponent(post.id))}" class="blog-link">${escape(post.title)}</a>
+                        </h3>
+                        <p class="blog-excerpt">${escape(post.excerpt)}</p>
+                        <div class="blog-content collapsed"></div>
+                    </article>`).join('');
+    }
+
+    // The list entry of a post. Ids come from the URL hash, so they're compared
+    // rather than written into a selector.
+    function postEntry(postId) {
+        return Array.from(document.querySelectorAll('.blog-entry')).find(entry => entry.dataset.post === postId) || null;
+    }
+
+    // Toggle Blog Post Function
+    window.toggleBlogPost = function(postId, { updateUrl = true } = {}) {
+        const entry = postEntry(postId);
+        if (!entry) return Promise.resolve();
         const content = entry.querySelector('.blog-content');
         const excerpt = entry.querySelector('.blog-excerpt');
         
@@ -610,21 +3339,217 @@ Every "no" is actually a "yes" to focus, performance, and user experience.
             content.classList.add('collapsed');
             content.innerHTML = '';
             excerpt.style.display = 'block';
-        } else {
-            // Expand
-            entry.classList.add('expanded');  // Add expanded class to parent
-            content.classList.remove('collapsed');
-            content.classList.add('expanded');
-            content.innerHTML = `<pre class="blog-post-content">${blogPosts[postId].content}</pre>
+
+            if (updateUrl) {
+                pushRoute({ section: 'blog' });
+            }
+            return Promise.resolve();
+        }
+
+        // Expand
+        entry.classList.add('expanded');  // Add expanded class to parent
+        content.classList.remove('collapsed');
+        content.classList.add('expanded');
+        content.innerHTML = '<pre class="blog-post-content"><span class="comment">// Loading...</span></pre>';
+        excerpt.style.display = 'none';
+
+        if (updateUrl) {
+            if (state.currentSection !== 'blog') {
+                navigateToSection('blog', { updateUrl: false });
+            }
+            pushRoute({ section: 'blog', post: postId });
+        }
+
+        return loadBlogPost(postId)
+            .then(post => post.content, err => `<span class="comment">// Error: could not load post (${Markdown.escapeHtml(err.message)})</span>`)
+            .then(html => {
+                // The post may have been collapsed while it was loading
+                if (!content.classList.contains('expanded')) return;
+
+                content.innerHTML = `<pre class="blog-post-content">${html}</pre>
                                 <div class="blog-post-footer">
                                     <span class="blog-hint">[Click title to collapse]</span>
                                 </div>`;
-            excerpt.style.display = 'none';
-            
-            // Scroll to post
-            entry.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+                // Scroll to post
+                entry.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            });
+    };
+
+    // Mail
+    // 'mail' (terminal-core.js) asks for the message and it is delivered here, as the
+    // site sets in index.html: <meta name="mail-endpoint"> is a URL the message is
+    // POSTed to as JSON, and otherwise <meta name="mail-to"> is the address of a
+    // prefilled mailto: link. A message that can't be POSTed while offline waits in
+    // the outbox (outbox.js) for the service worker's Background Sync. Where no sync
+    // is pending (no worker yet, or no support) the page sends it once online. Each
+    // message is taken out of the outbox before it is sent, so the page and the worker
+    // never both send it.
+    function mailSettings() {
+        const content = (name) => {
+            const meta = document.querySelector(`meta[name="${name}"]`);
+            return meta ? meta.content.trim() : '';
+        };
+        return { endpoint: content('mail-endpoint'), to: content('mail-to') };
+    }
+
+    function setupMail() {
+        if (!mailSettings().endpoint) return;
+
+        const flushUnlessSyncing = async () => {
+            if (!state.mailSync && !(await mailSyncPending())) flushOutbox();
+        };
+        window.addEventListener('online', flushUnlessSyncing);
+        if (navigator.onLine) flushUnlessSyncing();
+    }
+
+    async function sendMail(message) {
+        const { endpoint, to } = mailSettings();
+        if (!endpoint) {
+            location.href = TerminalCore.mailtoUrl(to, message);
+            return 'Opening your mail app with the message...';
+        }
+
+        if (navigator.onLine !== false) {
+            try {
+                await MailOutbox.post(endpoint, message);
+                return 'Message sent. Thanks!';
+            } catch (err) {
+                // fetch fails with a TypeError when there is no network; anything else is the endpoint's answer
+                if (!(err instanceof TypeError)) throw err;
+            }
+        }
+
+        await MailOutbox.add(endpoint, message);
+        state.mailSync = await registerMailSync();
+        return "You're offline, so the message is queued. It will be sent once you're back online.";
+    }
+
+    // Resolves with true once the service worker will send the outbox on Background Sync
+    async function registerMailSync() {
+        const registration = state.serviceWorker;
+        if (!registration || !registration.sync) return false;
+
+        try {
+            await registration.sync.register(MailOutbox.SYNC_TAG);
+            return true;
+        } catch (err) {
+            // No active worker, or sync refused; the page sends the outbox instead
+            return false;
+        }
+    }
+
+    // Whether a Background Sync registered by this page or an earlier one is still to fire
+    async function mailSyncPending() {
+        const registration = state.serviceWorker;
+        if (!registration || !registration.sync || !registration.sync.getTags) return false;
+
+        try {
+            return (await registration.sync.getTags()).includes(MailOutbox.SYNC_TAG);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    function flushOutbox() {
+        MailOutbox.flush()
+            .then(announceMailSent)
+            .catch(() => {
+                // Still offline, or storage unavailable; tried again when the page is next online
+            });
+    }
+
+    function announceMailSent(count) {
+        if (count) {
+            displayOutput(`mail: sent ${count} queued message${count === 1 ? '' : 's'}`);
+        }
+    }
+
+    // Service Worker
+    // sw.js precaches the app shell and messages the page when a newer version is
+    // waiting; the 'reload' command activates it.
+    function setupServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'UPDATE_AVAILABLE') {
+                announceUpdate();
+            } else if (e.data && e.data.type === 'MAIL_SENT') {
+                announceMailSent(e.data.count);
+            }
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (state.updateRequested) {
+                state.updateRequested = false;
+                location.reload();
+            }
+        });
+
+        function register() {
+            navigator.serviceWorker.register('/sw.js')
+                .then(registration => {
+                    state.serviceWorker = registration;
+                    console.log('ServiceWorker registered');
+
+                    // An update may have finished installing before this page loaded
+                    if (registration.waiting && navigator.serviceWorker.controller) {
+                        announceUpdate();
+                    }
+                })
+                .catch(err => console.log('ServiceWorker registration failed'));
+        }
+
+        if (document.readyState === 'complete') {
+            register();
+        } else {
+            window.addEventListener('load', register);
         }
+    }
+
+    // Install (PWA)
+    // The browser's install prompt is held back so the 'install' command can show it
+    function setupInstall() {
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            state.installPrompt = e;
+        });
+
+        window.addEventListener('appinstalled', () => {
+            state.installPrompt = null;
+            displayOutput('Installed. Launch LEV.KOZ from your apps to run the terminal standalone.');
+        });
+    }
+
+    function isStandalone() {
+        return ['standalone', 'window-controls-overlay'].some(mode => {
+            return window.matchMedia && window.matchMedia(`(display-mode: ${mode})`).matches;
+        }) || navigator.standalone === true;
+    }
+
+    function announceUpdate() {
+        if (state.updateAnnounced) return;
+        state.updateAnnounced = true;
+        displayOutput('update available — type `reload`');
+    }
+
+    // Public API
+    // Commands can be added from other scripts loaded after this one:
+    //   terminal.registerCommand('hello', {
+    //       help: 'Say hello',
+    //       usage: 'hello [name]',
+    //       run: (args) => `Hello, ${args[0] || 'world'}!`
+    //   });
+    registerBrowserCommands();
+
+    window.terminal = {
+        registerCommand,
+        unregisterCommand: shell.unregisterCommand,
+        execute: shell.executeCommand,
+        sleep
     };
+    window.executeCommand = shell.executeCommand;
+    window.completeCommand = shell.completeCommand;
 
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
@@ -0,0 +1,100 @@
+// Generated by scripts/build.js - do not edit
+self.__PRECACHE_VERSION = '73fa6c1c7a80';
+self.__PRECACHE_MANIFEST = [
+  {
+    "url": "/",
+    "revision": "c20d076bddce"
+  },
+  {
+    "url": "/offline.html",
+    "revision": "d14b73ad5346"
+  },
+  {
+    "url": "/favicon_LK.ico",
+    "revision": "1769ed536c36"
+  },
+  {
+    "url": "/manifest.webmanifest",
+    "revision": "c1a35adf367a"
+  },
+  {
+    "url": "/assets/css/terminal.css",
+    "revision": "f01b0132d45b"
+  },
+  {
+    "url": "/posts/index.json",
+    "revision": "6a462f391f60"
+  },
+  {
+    "url": "/blog/",
+    "revision": "e1f7339551e4"
+  },
+  {
+    "url": "/assets/icons/icon-192.png",
+    "revision": "1a0394e77d67"
+  },
+  {
+    "url": "/assets/icons/icon-512.png",
+    "revision": "5abfd9c68541"
+  },
+  {
+    "url": "/assets/icons/icon-maskable-512.png",
+    "revision": "c186b353fb80"
+  },
+  {
+    "url": "/assets/icons/apple-touch-icon.png",
+    "revision": "865da348d50a"
+  },
+  {
+    "url": "/assets/js/ansi.js",
+    "revision": "260b94e95bfe"
+  },
+  {
+    "url": "/assets/js/asciicast.js",
+    "revision": "ad36082ad730"
+  },
+  {
+    "url": "/assets/js/markdown.js",
+    "revision": "15b7cf8de569"
+  },
+  {
+    "url": "/assets/js/outbox.js",
+    "revision": "6adae1fb5308"
+  },
+  {
+    "url": "/assets/js/projects.js",
+    "revision": "607f515e2c07"
+  },
+  {
+    "url": "/assets/js/terminal-core.js",
+    "revision": "87caf5275222"
+  },
+  {
+    "url": "/assets/js/terminal.js",
+    "revision": "54243b5fb7c1"
+  },
+  {
+    "url": "/posts/readable-code.md",
+    "revision": "59480291ff42"
+  },
+  {
+    "url": "/blog/readable-code/",
+    "revision": "4f9c06fbf8fb"
+  },
+  {
+    "url": "/posts/performant-web.md",
+    "revision": "dfa25a6525a1"
+  },
+  {
+    "url": "/blog/performant-web/",
+    "revision": "43d831657d52"
+  },
+  {
+    "url": "/posts/simplicity-design.md",
+    "revision": "30e2fc0118b7"
+  },
+  {
+    "url": "/blog/simplicity-design/",
+    "revision": "45e0557bc7de"
+  }
+];
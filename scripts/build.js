@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+// Static Build
+// Prerenders the blog so crawlers and feed readers see real content:
+//   posts/index.json         - post index, regenerated from each post's front matter
+//   blog/index.html          - the BLOG section with the post list
+//   blog/<post>/index.html   - one page per post with its own title and OpenGraph tags
+//   feed.xml                 - Atom feed
+//   sitemap.xml              - every page above plus the home page
+//   assets/icons/*.png       - app icons for manifest.webmanifest
+//   precache-manifest.js     - content-hashed file list for the service worker (sw.js)
+//
+// Pages are built from index.html, so they keep the terminal look, and terminal.js
+// hydrates on top of them. Usage: node scripts/build.js
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Markdown = require('../assets/js/markdown.js');
+const { renderIcon } = require('./icons.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const POSTS_DIR = path.join(ROOT, 'posts');
+const SITE_URL = 'https://kozhokaru.github.io';
+const SITE_TITLE = 'LEV.KOZHOKARU.v2025';
+const AUTHOR = 'Lev Kozhokaru';
+
+// File name -> size and options for renderIcon
+const ICONS = {
+    'icon-192.png': { size: 192 },
+    'icon-512.png': { size: 512 },
+    'icon-maskable-512.png': { size: 512, maskable: true },
+    'apple-touch-icon.png': { size: 180 }
+};
+
+const escape = Markdown.escapeHtml;
+
+// Posts
+
+function readPosts() {
+    return fs.readdirSync(POSTS_DIR)
+        .filter(file => file.endsWith('.md'))
+        .map(file => {
+            const id = path.basename(file, '.md');
+            const source = fs.readFileSync(path.join(POSTS_DIR, file), 'utf8');
+            const { data, body } = Markdown.parseFrontMatter(source);
+
+            ['title', 'date', 'excerpt'].forEach(field => {
+                if (!data[field]) {
+                    throw new Error(`posts/${file}: missing '${field}' in front matter`);
+                }
+            });
+
+            return {
+                id,
+                title: data.title,
+                date: data.date,
+                excerpt: data.excerpt,
+                tags: data.tags || [],
+                html: Markdown.render(body)
+            };
+        })
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+function postUrl(post) {
+    return `${SITE_URL}/blog/${post.id}/`;
+}
+
+function formatPostDate(date) {
+    return date.replace(/-/g, '.');
+}
+
+// Pages
+
+// Apply a replacement that must match, so template drift fails the build loudly
+function replaceOnce(html, pattern, replacement, label) {
+    if (!pattern.test(html)) {
+        throw new Error(`index.html: could not find ${label}`);
+    }
+    return html.replace(pattern, replacement);
+}
+
+function setMeta(html, attribute, name, value) {
+    const pattern = new RegExp(`(<meta ${attribute}="${name}" content=")[^"]*(")`);
+    return replaceOnce(html, pattern, `$1${escape(value)}$2`, `${attribute}="${name}"`);
+}
+
+// Mirrors renderBlogList and toggleBlogPost in terminal.js
+function renderBlogEntry(post, expanded) {
+    const content = expanded
+        ? `<div class="blog-content expanded"><pre class="blog-post-content">${post.html}</pre>
+                                <div class="blog-post-footer">
+                                    <span class="blog-hint">[Click title to collapse]</span>
+                                </div></div>`
+        : '<div class="blog-content collapsed"></div>';
+
+    return `
+                    <article class="blog-entry${expanded ? ' expanded' : ''}" data-post="${escape(post.id)}">
+                        <time class="blog-date" datetime="${escape(post.date)}">[${escape(formatPostDate(post.date))}]</time>
+                        <h3 class="blog-title">
+                            <a href="#/blog/${escape(encodeURIComponent(post.id))}" class="blog-link">${escape(post.title)}</a>
+                        </h3>
+                        <p class="blog-excerpt"${expanded ? ' style="display: none;"' : ''}>${escape(post.excerpt)}</p>
+                        ${content}
+                    </article>`;
+}
+
+// Turn index.html into a page showing the BLOG section, optionally with one post open
+function renderPage(template, posts, { route, title, description, url, type, post }) {
+    let html = template;
+
+    html = replaceOnce(html, /<title>[^<]*<\/title>/, `<title>${escape(title)}</title>`, '<title>');
+    html = setMeta(html, 'name', 'description', description);
+    html = setMeta(html, 'property', 'og:title', title);
+    html = setMeta(html, 'property', 'og:description', description);
+    html = setMeta(html, 'property', 'og:url', url);
+    html = setMeta(html, 'property', 'og:type', type);
+    html = replaceOnce(html, /(<link rel="canonical" href=")[^"]*(")/, `$1${escape(url)}$2`, 'canonical link');
+
+    if (post) {
+        html = replaceOnce(html, /(<meta property="og:type"[^>]*>)/,
+            `$1\n    <meta property="article:published_time" content="${escape(post.date)}">` +
+            post.tags.map(tag => `\n    <meta property="article:tag" content="${escape(tag)}">`).join(''),
+            'og:type');
+    }
+
+    // Pages live below the root, so relative asset URLs must become absolute
+    html = html.replace(/(href|src)="assets\//g, '$1="/assets/');
+
+    html = replaceOnce(html, /<body>/, `<body data-route="${escape(route)}">`, '<body>');
+    html = replaceOnce(html, /(<section id="home" class="terminal-section) active(")/, '$1$2', 'active home section');
+    html = replaceOnce(html, /(<section id="blog" class="terminal-section)(")/, '$1 active$2', 'blog section');
+    html = replaceOnce(html, /(<a href="#\/" class="nav-link) active(")/, '$1$2', 'active home link');
+    html = replaceOnce(html, /(<a href="#\/blog" class="nav-link)(")/, '$1 active$2', 'blog link');
+
+    const entries = posts.map(entry => renderBlogEntry(entry, post && entry.id === post.id)).join('');
+    html = replaceOnce(html, /<div class="blog-entries"><\/div>/,
+        `<div class="blog-entries" data-prerendered>${entries}\n                </div>`, 'blog entries');
+
+    return html;
+}
+
+// Feed and Sitemap
+
+function renderFeed(posts) {
+    const updated = posts.length ? `${posts[0].date}T00:00:00Z` : new Date().toISOString();
+    const entries = posts.map(post => `
+  <entry>
+    <title>${escape(post.title)}</title>
+    <link href="${postUrl(post)}"/>
+    <id>${postUrl(post)}</id>
+    <published>${post.date}T00:00:00Z</published>
+    <updated>${post.date}T00:00:00Z</updated>
+    <summary>${escape(post.excerpt)}</summary>
+${post.tags.map(tag => `    <category term="${escape(tag)}"/>\n`).join('')}    <content type="html">${escape(`<pre>${post.html}</pre>`)}</content>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${SITE_TITLE} | BLOG.log</title>
+  <link href="${SITE_URL}/feed.xml" rel="self"/>
+  <link href="${SITE_URL}/blog/"/>
+  <id>${SITE_URL}/</id>
+  <updated>${updated}</updated>
+  <author><name>${AUTHOR}</name></author>${entries}
+</feed>
+`;
+}
+
+function renderSitemap(posts) {
+    const latest = posts.length ? posts[0].date : undefined;
+    const urls = [
+        { loc: `${SITE_URL}/`, lastmod: latest },
+        { loc: `${SITE_URL}/blog/`, lastmod: latest }
+    ].concat(posts.map(post => ({ loc: postUrl(post), lastmod: post.date })));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url>
+    <loc>${url.loc}</loc>${url.lastmod ? `\n    <lastmod>${url.lastmod}</lastmod>` : ''}
+  </url>`).join('\n')}
+</urlset>
+`;
+}
+
+// Precache Manifest
+
+// Files served by the app shell, as URL -> file on disk
+function precacheEntries(posts) {
+    const entries = {
+        '/': 'index.html',
+        '/offline.html': 'offline.html',
+        '/favicon_LK.ico': 'favicon_LK.ico',
+        '/manifest.webmanifest': 'manifest.webmanifest',
+        '/assets/css/terminal.css': 'assets/css/terminal.css',
+        '/posts/index.json': 'posts/index.json',
+        '/blog/': 'blog/index.html'
+    };
+
+    Object.keys(ICONS).forEach(file => {
+        entries[`/assets/icons/${file}`] = `assets/icons/${file}`;
+    });
+
+    fs.readdirSync(path.join(ROOT, 'assets/js'))
+        .filter(file => file.endsWith('.js'))
+        .forEach(file => {
+            entries[`/assets/js/${file}`] = `assets/js/${file}`;
+        });
+
+    posts.forEach(post => {
+        entries[`/posts/${post.id}.md`] = `posts/${post.id}.md`;
+        entries[`/blog/${post.id}/`] = `blog/${post.id}/index.html`;
+    });
+
+    return entries;
+}
+
+function hash(contents) {
+    return crypto.createHash('sha256').update(contents).digest('hex').substring(0, 12);
+}
+
+function renderPrecacheManifest(posts) {
+    const manifest = Object.entries(precacheEntries(posts)).map(([url, file]) => ({
+        url,
+        revision: hash(fs.readFileSync(path.join(ROOT, file)))
+    }));
+    const version = hash(manifest.map(entry => entry.url + entry.revision).join('\n'));
+
+    return `// Generated by scripts/build.js - do not edit
+self.__PRECACHE_VERSION = '${version}';
+self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};
+`;
+}
+
+// Build
+
+function write(relativePath, contents) {
+    const file = path.join(ROOT, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    console.log(`[build] wrote ${relativePath}`);
+}
+
+function build() {
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const posts = readPosts();
+
+    const index = posts.map(({ id, title, date, excerpt, tags }) => ({ id, title, date, excerpt, tags }));
+    write('posts/index.json', JSON.stringify(index, null, 2) + '\n');
+
+    write('blog/index.html', renderPage(template, posts, {
+        route: '/blog',
+        title: `BLOG.log | ${SITE_TITLE}`,
+        description: `Writing by ${AUTHOR} on code, performance and design`,
+        url: `${SITE_URL}/blog/`,
+        type: 'website'
+    }));
+
+    // Drop pages of posts that no longer exist
+    const blogDir = path.join(ROOT, 'blog');
+    fs.readdirSync(blogDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !posts.some(post => post.id === entry.name))
+        .forEach(entry => {
+            fs.rmSync(path.join(blogDir, entry.name), { recursive: true });
+            console.log(`[build] removed blog/${entry.name}/`);
+        });
+
+    posts.forEach(post => {
+        write(`blog/${post.id}/index.html`, renderPage(template, posts, {
+            route: `/blog/${post.id}`,
+            title: `${post.title} | ${SITE_TITLE}`,
+            description: post.excerpt,
+            url: postUrl(post),
+            type: 'article',
+            post
+        }));
+    });
+
+    Object.entries(ICONS).forEach(([file, { size, maskable }]) => {
+        write(`assets/icons/${file}`, renderIcon(size, { maskable }));
+    });
+
+    write('feed.xml', renderFeed(posts));
+    write('sitemap.xml', renderSitemap(posts));
+
+    // Last, so it hashes everything written above
+    write('precache-manifest.js', renderPrecacheManifest(posts));
+}
+
+build();
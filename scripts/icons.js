@@ -0,0 +1,125 @@
+// App Icons
+// Draws the "LK" terminal icon as PNG at any size, with no image dependencies:
+// pixels are plotted into an RGBA buffer and encoded with zlib.
+'use strict';
+
+const zlib = require('zlib');
+
+const COLORS = {
+    background: [0x0a, 0x0e, 0x27],
+    terminal: [0x00, 0x08, 0x14],
+    text: [0x00, 0xff, 0x41]
+};
+
+// 5x7 glyphs, one string per row
+const GLYPHS = {
+    L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+    K: ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+    _: ['00000', '00000', '00000', '00000', '00000', '00000', '11111']
+};
+
+function createCanvas(size) {
+    const pixels = Buffer.alloc(size * size * 4);
+
+    function fillRect(x, y, width, height, [r, g, b]) {
+        for (let row = Math.max(0, y); row < Math.min(size, y + height); row++) {
+            for (let col = Math.max(0, x); col < Math.min(size, x + width); col++) {
+                const i = (row * size + col) * 4;
+                pixels[i] = r;
+                pixels[i + 1] = g;
+                pixels[i + 2] = b;
+                pixels[i + 3] = 0xff;
+            }
+        }
+    }
+
+    return { size, pixels, fillRect };
+}
+
+function drawText(canvas, text, x, y, cell, color) {
+    [...text].forEach((char, index) => {
+        GLYPHS[char].forEach((row, rowIndex) => {
+            [...row].forEach((bit, colIndex) => {
+                if (bit === '1') {
+                    canvas.fillRect(x + (index * 6 + colIndex) * cell, y + rowIndex * cell, cell, cell, color);
+                }
+            });
+        });
+    });
+}
+
+// Maskable icons keep their content inside the central 80% safe zone
+function renderIcon(size, { maskable = false } = {}) {
+    const canvas = createCanvas(size);
+    canvas.fillRect(0, 0, size, size, COLORS.background);
+
+    if (!maskable) {
+        const inset = Math.round(size * 0.06);
+        const border = Math.max(1, Math.round(size * 0.03));
+        canvas.fillRect(inset, inset, size - inset * 2, size - inset * 2, COLORS.text);
+        canvas.fillRect(inset + border, inset + border, size - (inset + border) * 2, size - (inset + border) * 2, COLORS.terminal);
+    }
+
+    const text = 'LK_';
+    const columns = text.length * 6 - 1;
+    const cell = Math.max(1, Math.floor(size * (maskable ? 0.5 : 0.6) / columns));
+    const x = Math.round((size - columns * cell) / 2);
+    const y = Math.round((size - 7 * cell) / 2);
+    drawText(canvas, text, x, y, cell, COLORS.text);
+
+    return encodePng(size, size, canvas.pixels);
+}
+
+// PNG Encoding
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(width, height, rgba) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 6;  // color type: RGBA
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // interlace
+
+    // Each scanline starts with filter type 0 (none)
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let row = 0; row < height; row++) {
+        rgba.copy(raw, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = { renderIcon };
@@ -1,50 +1,142 @@
 // Service Worker for offline functionality
-const CACHE_NAME = 'terminal-v1';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/assets/css/terminal.css',
-  '/assets/js/terminal.js',
-  'https://fonts.googleapis.com/css2?family=VT323&family=JetBrains+Mono:wght@400;700&display=swap'
-];
+//
+// precache-manifest.js is generated by scripts/build.js and lists every file of the
+// app shell with a content hash. Any content change produces a new manifest, which
+// makes the browser install a new worker; the page is told so it can offer a reload.
+importScripts('/precache-manifest.js', '/assets/js/outbox.js');
+
+const PRECACHE_PREFIX = 'terminal-precache-';
+const PRECACHE_NAME = PRECACHE_PREFIX + self.__PRECACHE_VERSION;
+const RUNTIME_CACHE = 'terminal-runtime';
+const OFFLINE_URL = '/offline.html';
+
+// Cross-origin hosts whose responses are cached at runtime (Google Fonts)
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
 
 // Install event
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
+    caches.open(PRECACHE_NAME)
       .then(cache => {
-        console.log('[ServiceWorker] Caching app shell');
-        return cache.addAll(urlsToCache);
+        console.log('[ServiceWorker] Precaching app shell', self.__PRECACHE_VERSION);
+        // Bypass the HTTP cache so the stored copy matches the manifest revision
+        return cache.addAll(self.__PRECACHE_MANIFEST.map(entry => new Request(entry.url, { cache: 'reload' })));
       })
-  );
-});
-
-// Fetch event
-self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Cache hit - return response
-        if (response) {
-          return response;
+      .then(() => {
+        // An active worker means this is an update: it will wait until the page asks for it
+        if (self.registration.active) {
+          return notifyClients({ type: 'UPDATE_AVAILABLE', version: self.__PRECACHE_VERSION });
         }
-        return fetch(event.request);
       })
   );
 });
 
 // Activate event
+// Every other cache belongs to an older worker, including the terminal-v* caches of
+// the workers before the precache manifest
 self.addEventListener('activate', event => {
-  const cacheWhitelist = [CACHE_NAME];
+  const cacheWhitelist = [PRECACHE_NAME, RUNTIME_CACHE];
+
   event.waitUntil(
-    caches.keys().then(cacheNames => {
-      return Promise.all(
-        cacheNames.map(cacheName => {
-          if (cacheWhitelist.indexOf(cacheName) === -1) {
-            return caches.delete(cacheName);
+    caches.keys()
+      .then(cacheNames => {
+        return Promise.all(
+          cacheNames.map(cacheName => {
+            if (!cacheWhitelist.includes(cacheName)) {
+              return caches.delete(cacheName);
+            }
+          })
+        );
+      })
+      .then(() => self.clients.claim())
+  );
+});
+
+// Message event
+self.addEventListener('message', event => {
+  const message = event.data || {};
+
+  if (message.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (message.type === 'GET_VERSION' && event.source) {
+    event.source.postMessage({ type: 'VERSION', version: self.__PRECACHE_VERSION });
+  }
+});
+
+// Sync event
+// Background Sync fires once the device is online again: send the messages 'mail'
+// queued meanwhile (assets/js/outbox.js). A rejection makes the browser retry later.
+self.addEventListener('sync', event => {
+  if (event.tag === MailOutbox.SYNC_TAG) {
+    event.waitUntil(
+      MailOutbox.flush()
+        .then(sent => {
+          if (sent) {
+            return notifyClients({ type: 'MAIL_SENT', count: sent });
           }
         })
-      );
+    );
+  }
+});
+
+// Fetch event
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin || RUNTIME_HOSTS.includes(url.hostname)) {
+    // Precached files are already current for this worker's version
+    event.respondWith(
+      caches.match(request, { cacheName: PRECACHE_NAME })
+        .then(response => response || staleWhileRevalidate(event))
+    );
+  }
+});
+
+// Pages: the network when it answers, otherwise this version's page, then the last
+// copy fetched, otherwise the offline page
+function networkFirst(request) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(RUNTIME_CACHE).then(cache => cache.put(request, copy));
+      }
+      return response;
     })
-  );
-});
\ No newline at end of file
+    .catch(() => {
+      return caches.match(request, { cacheName: PRECACHE_NAME, ignoreSearch: true })
+        .then(response => response || caches.match(request, { cacheName: RUNTIME_CACHE, ignoreSearch: true }))
+        .then(response => response || caches.match(OFFLINE_URL, { cacheName: PRECACHE_NAME }));
+    });
+}
+
+// Other assets: answer from the cache right away and refresh it in the background
+function staleWhileRevalidate(event) {
+  const request = event.request;
+
+  const update = fetch(request)
+    .then(response => {
+      // Opaque (cross-origin font) responses report status 0 but are still usable
+      if (response.ok || response.type === 'opaque') {
+        const copy = response.clone();
+        caches.open(RUNTIME_CACHE).then(cache => cache.put(request, copy));
+      }
+      return response;
+    });
+
+  event.waitUntil(update.catch(() => {}));
+
+  return caches.open(RUNTIME_CACHE)
+    .then(cache => cache.match(request))
+    .then(response => response || update);
+}
+
+function notifyClients(message) {
+  return self.clients.matchAll({ includeUncontrolled: true, type: 'window' })
+    .then(clients => clients.forEach(client => client.postMessage(message)));
+}
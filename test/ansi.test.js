@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Ansi = require('../assets/js/ansi.js');
+
+test('parse splits text into styled segments', () => {
+    assert.deepEqual(Ansi.parse('a\x1b[1;31mb\x1b[22mc\x1b[0md'), [
+        { text: 'a', style: {} },
+        { text: 'b', style: { bold: true, fg: 'red' } },
+        { text: 'c', style: { fg: 'red' } },
+        { text: 'd', style: {} }
+    ]);
+    assert.deepEqual(Ansi.parse('\x1b[92;104mx\x1b[39;49my\x1b[m').map(segment => segment.style), [
+        { fg: 'bright-green', bg: 'bright-blue' },
+        {}
+    ]);
+});
+
+test('256-color and truecolor codes become hex colors', () => {
+    assert.deepEqual(Ansi.parse('\x1b[38;5;196ma\x1b[48;5;9mb\x1b[38;2;1;2;3mc\x1b[38;5;244md').map(segment => segment.style), [
+        { fg: '#ff0000' },
+        { fg: '#ff0000', bg: 'bright-red' },
+        { fg: '#010203', bg: 'bright-red' },
+        { fg: '#808080', bg: 'bright-red' }
+    ]);
+});
+
+test('other escape sequences are dropped', () => {
+    assert.deepEqual(Ansi.parse('a\x1b[2Kb\x1b[1;1Hc\x1b7d'), [{ text: 'abcd', style: {} }]);
+    assert.equal(Ansi.strip('\x1b[1mbold\x1b[0m \x1b[Kplain'), 'bold plain');
+});
+
+test('style wraps text in the codes of named styles', () => {
+    assert.equal(Ansi.style('ok', 'bold', 'green'), '\x1b[1;32mok\x1b[0m');
+    assert.equal(Ansi.style('bg', 'bg-bright-cyan'), '\x1b[106mbg\x1b[0m');
+    assert.equal(Ansi.style('plain'), 'plain');
+    assert.throws(() => Ansi.style('x', 'orange'), TypeError);
+});
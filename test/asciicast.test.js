@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Asciicast = require('../assets/js/asciicast.js');
+
+test('a recorder times its events from when it was created', () => {
+    let now = 1000;
+    const recorder = Asciicast.createRecorder({ width: 100, title: 'Demo' }, () => now);
+
+    now = 1500;
+    recorder.input('ls\r');
+    now = 1750.25;
+    recorder.output('about/\r\n');
+
+    assert.equal(recorder.header.version, 2);
+    assert.equal(recorder.header.width, 100);
+    assert.equal(recorder.header.height, 24);
+    assert.equal(typeof recorder.header.timestamp, 'number');
+    assert.deepEqual(recorder.events, [[0.5, 'i', 'ls\r'], [0.75025, 'o', 'about/\r\n']]);
+    assert.equal(recorder.duration(), 0.75025);
+});
+
+test('casts serialize to a header line and event lines and parse back', () => {
+    const cast = {
+        header: { version: 2, width: 80, height: 24 },
+        events: [[0.1, 'o', '$ '], [1.2, 'i', 'pwd\r'], [1.3, 'o', '/\r\n']]
+    };
+    const text = Asciicast.serialize(cast);
+
+    assert.equal(text, '{"version":2,"width":80,"height":24}\n[0.1,"o","$ "]\n[1.2,"i","pwd\\r"]\n[1.3,"o","/\\r\\n"]\n');
+    assert.deepEqual(Asciicast.parse(text), cast);
+});
+
+test('parse rejects what is not asciicast v2', () => {
+    assert.throws(() => Asciicast.parse('hello'), /not an asciicast file/);
+    assert.throws(() => Asciicast.parse('{"version":1}'), /unsupported asciicast version 1/);
+    assert.throws(() => Asciicast.parse('{"version":2}\n[0.1,"o","ok"]\n{"oops":true}'), /line 3: not an event/);
+});
+
+test('output frames skip input and cut long pauses to the idle time limit', () => {
+    const frames = Asciicast.outputFrames({
+        header: { version: 2, idle_time_limit: 2 },
+        events: [[0.5, 'o', 'a'], [1, 'i', 'x'], [10, 'o', 'b'], [10.5, 'o', 'c']]
+    });
+    assert.deepEqual(frames, [{ time: 0.5, data: 'a' }, { time: 2.5, data: 'b' }, { time: 3, data: 'c' }]);
+});
+
+test('screenText shows what follows the last clear, with carriage returns rewriting lines', () => {
+    assert.equal(Asciicast.screenText('one\r\ntwo\r\n'), 'one\ntwo\n');
+    assert.equal(Asciicast.screenText('old\r\n\x1b[H\x1b[2Jnew\r\n'), 'new\n');
+    assert.equal(Asciicast.screenText('10%\r50%\r100%\r\n\x1b[1mdone\x1b[0m'), '100%\n\x1b[1mdone\x1b[0m');
+});
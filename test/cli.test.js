@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const path = require('path');
+
+const CLI = path.resolve(__dirname, '../bin/terminal');
+
+// Run bin/terminal with the given arguments and standard input; resolves with its
+// output and exit status
+function terminal(args, input = '') {
+    return new Promise((resolve, reject) => {
+        const child = execFile(process.execPath, [CLI, ...args], { timeout: 10000 }, (err, stdout, stderr) => {
+            if (err && typeof err.code !== 'number') {
+                reject(err);
+            } else {
+                resolve({ stdout, stderr, status: err ? err.code : 0 });
+            }
+        });
+        child.stdin.end(input);
+    });
+}
+
+test('runs the command line given with -c', async () => {
+    const { stdout } = await terminal(['-c', 'blog ls | head -1']);
+    assert.equal(stdout, '2024.03.10  readable-code      The Art of Readable Code\n');
+});
+
+test('runs the command given as arguments with their words kept', async () => {
+    const { stdout } = await terminal(['echo', 'a  b', "it's", 'x|y;', '!!']);
+    assert.equal(stdout, "a  b it's x|y; !!\n");
+});
+
+test('runs each line of standard input in the same shell', async () => {
+    const { stdout, stderr } = await terminal([], 'cd about\npwd\ncat ABOUT.txt | head -2\nls /blog\n');
+    assert.equal(stderr, '');
+    assert.equal(stdout, [
+        'Navigating to about...',
+        '/about',
+        '// Bio',
+        'const developer = {',
+        'BLOG.log  readable-code.md  performant-web.md  simplicity-design.md',
+        ''
+    ].join('\n'));
+});
+
+test('prints posts and project details as text', async () => {
+    const { stdout } = await terminal([], 'blog read performant-web | grep -c Cache\nprojects show a11y-validator | head -1\n');
+    assert.match(stdout, /^[1-9]\d*\n\[AI\] AI Accessibility Validator\n$/);
+});
+
+test('reports unknown commands on standard error and keeps going', async () => {
+    const { stdout, stderr, status } = await terminal([], 'nope\necho still here\n');
+    assert.equal(stderr, "Command not found: nope. Type 'help' for available commands.\n");
+    assert.equal(stdout, 'still here\n');
+    assert.equal(status, 0);
+});
+
+test('exits with the status of the last command line', async () => {
+    assert.equal((await terminal(['-c', 'echo ok'])).status, 0);
+    assert.equal((await terminal(['-c', 'nope'])).status, 127);
+
+    const { stderr, status } = await terminal(['-c', 'cat nothing']);
+    assert.equal(stderr, 'cat: nothing: No such file or directory\n');
+    assert.equal(status, 1);
+
+    assert.equal((await terminal(['-c', 'echo "open'])).status, 2);
+    assert.equal((await terminal([], 'echo ok\ncat nothing\n')).status, 1);
+});
+
+test('waits for background jobs before exiting', async () => {
+    const { stdout, status } = await terminal(['-c', 'echo hi &']);
+    assert.equal(stdout, '[1] echo hi\nhi\n[1]+  Done                    echo hi\n');
+    assert.equal(status, 0);
+});
@@ -0,0 +1,290 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TerminalCore = require('../assets/js/terminal-core.js');
+
+const POSTS = {
+    'posts/index.json': JSON.stringify([
+        { id: 'older', title: 'Older Post', date: '2024-01-01', excerpt: 'First', tags: ['craft'] },
+        { id: 'newer', title: 'Newer Post', date: '2024-02-01', excerpt: 'Second', tags: ['craft', 'web'] }
+    ]),
+    'posts/newer.md': '---\ntitle: Newer Post\ndate: 2024-02-01\n---\n\nHello from the newer post.\nSecond line.\n'
+};
+
+function createHost(overrides = {}) {
+    const printed = [];
+    const visited = [];
+    const host = {
+        printed,
+        visited,
+        sections: [
+            { id: 'home', title: null, read: () => '' },
+            { id: 'about', title: 'ABOUT.txt', read: () => 'line one\nline two\nline three' },
+            { id: 'projects', title: 'PROJECTS.exe', read: () => '' },
+            { id: 'blog', title: 'BLOG.log', read: () => '' }
+        ],
+        projects: [
+            { id: 'alpha', name: 'Alpha', icon: '[A]', description: 'First project', tags: ['Python'], status: 'LIVE', progress: 50, links: [] },
+            { id: 'beta', name: 'Beta', icon: '[B]', description: 'Second project', tags: ['Node.js'], status: 'BETA', progress: 20, links: [] }
+        ],
+        fetchFile: (path) => {
+            return Object.prototype.hasOwnProperty.call(POSTS, path)
+                ? Promise.resolve(POSTS[path])
+                : Promise.reject(new Error('HTTP 404'));
+        },
+        createWriter: () => text => printed.push(text),
+        print: text => printed.push(text),
+        changeDirectory: dir => visited.push(dir.section)
+    };
+    return Object.assign(host, overrides);
+}
+
+test('executeCommand runs a command and returns its output', async () => {
+    const shell = TerminalCore.createTerminal(createHost());
+    assert.equal(await shell.executeCommand('echo hello   world'), 'hello world');
+    assert.equal(await shell.executeCommand('echo "quoted  words" \'and more\''), 'quoted  words and more');
+});
+
+test('executeCommand reports unknown commands and syntax errors', async () => {
+    const missing = [];
+    const shell = TerminalCore.createTerminal(createHost({ commandNotFound: name => missing.push(name) }));
+
+    assert.match(await shell.executeCommand('nope'), /Command not found: nope/);
+    assert.deepEqual(missing, ['nope']);
+    assert.match(await shell.executeCommand('echo "open'), /unterminated quoted string/);
+    assert.match(await shell.executeCommand('echo a |'), /unexpected token 'newline'/);
+});
+
+test('executeCommand writes errors apart and returns the last status when given a writer', async () => {
+    const shell = TerminalCore.createTerminal(createHost());
+    const written = [];
+    const write = (text, options = {}) => written.push([text, Boolean(options.error)]);
+
+    assert.equal(await shell.executeCommand('cat about/missing.txt; echo next', write), 0);
+    assert.deepEqual(written, [['cat: about/missing.txt: No such file or directory', true], ['next', false]]);
+    assert.equal(await shell.executeCommand('echo ok && nope', write), 127);
+    assert.equal(await shell.executeCommand('echo "open', write), 2);
+});
+
+test('pipelines feed each stage into the next', async () => {
+    const shell = TerminalCore.createTerminal(createHost());
+    assert.equal(await shell.executeCommand('cat about/ABOUT.txt | grep -n two'), '2:line two');
+    assert.equal(await shell.executeCommand('cat about/ABOUT.txt | sort -r | head -1'), 'line two');
+    assert.equal((await shell.executeCommand('cat about/ABOUT.txt | wc -l')).trim(), '3');
+});
+
+test('&& runs only after success while ; always continues', async () => {
+    const shell = TerminalCore.createTerminal(createHost());
+    assert.equal(await shell.executeCommand('grep x about/ABOUT.txt && echo found'), '');
+    assert.equal(await shell.executeCommand('grep x about/ABOUT.txt; echo next'), 'next');
+    assert.equal(await shell.executeCommand('grep one about/ABOUT.txt && echo found'), 'line one\nfound');
+});
+
+test('the filesystem mirrors the sections', async () => {
+    const host = createHost();
+    const shell = TerminalCore.createTerminal(host);
+
+    assert.equal(await shell.executeCommand('ls'), 'about/  projects/  blog/');
+    assert.equal(await shell.executeCommand('ls about'), 'ABOUT.txt');
+    assert.match(await shell.executeCommand('cat about/missing.txt'), /No such file or directory/);
+    assert.match(await shell.executeCommand('cat about'), /Is a directory/);
+    assert.match(await shell.executeCommand('cat projects/PROJECTS.exe'), /Alpha \[LIVE\]/);
+
+    assert.equal(await shell.executeCommand('cd about'), 'Navigating to about...');
+    assert.equal(shell.state.cwd, '/about');
+    assert.equal(await shell.executeCommand('cat ABOUT.txt | head -1'), 'line one');
+    assert.equal(await shell.executeCommand('cd blog'), 'Navigating to blog...');
+    assert.equal(await shell.executeCommand('cd ..; pwd'), 'Navigating to home...\n/');
+    assert.deepEqual(host.visited, ['about', 'blog', 'home']);
+});
+
+test('completeCommand completes commands and paths', () => {
+    const shell = TerminalCore.createTerminal(createHost());
+    assert.deepEqual(shell.completeCommand('he'), { word: 'he', candidates: ['head', 'help'] });
+    assert.deepEqual(shell.completeCommand('cd ab'), { word: 'ab', candidates: ['about/'] });
+    assert.deepEqual(shell.completeCommand('cat about/'), { word: 'about/', candidates: ['about/ABOUT.txt'] });
+});
+
+test('the blog loads from the host and adds posts to the filesystem', async () => {
+    const shell = TerminalCore.createTerminal(createHost());
+
+    assert.equal(await shell.executeCommand('blog ls'), '2024.02.01  newer  Newer Post\n2024.01.01  older  Older Post');
+    assert.equal(await shell.executeCommand('blog ls --tag web | wc -l'), '      1');
+    assert.equal(await shell.executeCommand('ls blog'), 'BLOG.log  newer.md  older.md');
+    assert.match(await shell.executeCommand('blog read newer'), /^\s*Hello from the newer post\.\nSecond line\.\s*$/);
+    assert.match(await shell.executeCommand('blog read older'), /blog read: older: HTTP 404/);
+});
+
+test('a host with showPost shows posts unless they are piped', async () => {
+    const shown = [];
+    const shell = TerminalCore.createTerminal(createHost({ showPost: post => shown.push(post.id) }));
+
+    assert.equal(await shell.executeCommand('blog latest'), '');
+    assert.deepEqual(shown, ['newer']);
+    assert.equal(await shell.executeCommand('blog read newer | grep Second'), 'Second line.');
+    assert.deepEqual(shown, ['newer']);
+});
+
+test('projects are listed and filtered from the host data', async () => {
+    const shell = TerminalCore.createTerminal(createHost());
+    assert.match(await shell.executeCommand('projects --tag python'), /alpha\s+Alpha\s+LIVE/);
+    assert.doesNotMatch(await shell.executeCommand('projects --tag python'), /beta/);
+    assert.match(await shell.executeCommand('projects show beta'), /progress: {2}\[##\.{8}\] 20%/);
+    assert.deepEqual(shell.filterProjects({ status: 'beta' }).map(project => project.id), ['beta']);
+});
+
+test('history is recorded, expanded and saved through the host', async () => {
+    const saved = [];
+    const shell = TerminalCore.createTerminal(createHost({ saveHistory: history => saved.push(history.slice()) }));
+
+    shell.setHistory(['echo one', 42, 'echo two']);
+    shell.recordHistory('pwd');
+    shell.recordHistory('pwd');
+    assert.deepEqual(shell.state.history, ['echo one', 'echo two', 'pwd']);
+    assert.equal(saved.length, 1);
+
+    assert.equal(shell.expandHistory('!!'), 'pwd');
+    assert.equal(shell.expandHistory('!1 && !echo'), 'echo one && echo two');
+    assert.equal(shell.expandHistory("echo '!!'"), "echo '!!'");
+    assert.throws(() => shell.expandHistory('!missing'), /event not found/);
+
+    assert.equal(await shell.executeCommand('history -c'), '');
+    assert.deepEqual(shell.state.history, []);
+    assert.deepEqual(saved[saved.length - 1], []);
+});
+
+test('background jobs run on their own and report through the host', async () => {
+    const host = createHost();
+    const shell = TerminalCore.createTerminal(host);
+
+    shell.registerCommand('wait', {
+        run: (args, stdin, context) => TerminalCore.sleep(Number(args[0]), context.signal).then(() => 'waited')
+    });
+
+    assert.equal(await shell.executeCommand('wait 20 &'), '[1] wait 20');
+    assert.equal(await shell.executeCommand('wait 1000 &'), '[2] wait 1000');
+    assert.equal(await shell.executeCommand('jobs'), '[1]-  Running                 wait 20\n[2]+  Running                 wait 1000');
+    assert.equal(await shell.executeCommand('kill %2'), '[2]+  Terminated              wait 1000');
+
+    await TerminalCore.sleep(50);
+    assert.deepEqual(host.printed, ['waited', '[1]+  Done                    wait 20']);
+    assert.equal(shell.jobs.length, 0);
+});
+
+test('fg returns the output and exit status of the job it resumes', async () => {
+    const host = createHost();
+    const shell = TerminalCore.createTerminal(host);
+    shell.registerCommand('later', {
+        run: (args, stdin, context) => TerminalCore.sleep(20, context.signal)
+            .then(() => (args[0] === 'fail' ? TerminalCore.fail('later: failed', 3) : `later ${args[0]}`))
+    });
+
+    await shell.executeCommand('later ok &');
+    assert.equal(await shell.executeCommand('fg | wc -l'), '      1');
+    await shell.executeCommand('later ok &');
+    assert.equal(await shell.executeCommand('fg && echo next'), 'later ok\nnext');
+
+    await shell.executeCommand('later fail &');
+    assert.equal(await shell.executeCommand('fg && echo next'), 'later: failed');
+    assert.deepEqual(host.printed, []);
+});
+
+test('registered commands can be removed again', async () => {
+    const shell = TerminalCore.createTerminal(createHost());
+    shell.registerCommand('greet', { aliases: ['hi'], run: args => `Hello, ${args[0] || 'world'}!` });
+
+    assert.equal(await shell.executeCommand('hi there'), 'Hello, there!');
+    assert.equal(shell.unregisterCommand('greet'), true);
+    assert.match(await shell.executeCommand('hi'), /Command not found/);
+    assert.throws(() => shell.registerCommand('bad name', () => ''), TypeError);
+});
+
+test('formatTable aligns columns, ignoring color codes', () => {
+    const red = '\x1b[31mred\x1b[0m';
+    assert.equal(TerminalCore.formatTable([['a', 'bb', 'c'], [red, 'b', 'last']]), 'a    bb  c\n\x1b[31mred\x1b[0m  b   last');
+    assert.equal(TerminalCore.formatTable([['x', '1'], ['yy', '22']], { align: ['left', 'right'], indent: '> ' }), '> x    1\n> yy  22');
+});
+
+test('commands color what they write to a host that shows colors', async () => {
+    const written = [];
+    const shell = TerminalCore.createTerminal(createHost({ colors: true }));
+    const write = text => written.push(text);
+
+    await shell.executeCommand('ls', write);
+    await shell.executeCommand('grep two about/ABOUT.txt', write);
+    await shell.executeCommand('ls | cat', write);
+    assert.deepEqual(written, [
+        '\x1b[1;34mabout/\x1b[0m  \x1b[1;34mprojects/\x1b[0m  \x1b[1;34mblog/\x1b[0m',
+        'line \x1b[1;31mtwo\x1b[0m',
+        'about/  projects/  blog/'
+    ]);
+
+    // Output returned to the caller stays plain
+    assert.equal(await shell.executeCommand('ls'), 'about/  projects/  blog/');
+    assert.equal(await shell.executeCommand('echo -e "a\\tb\\e[0m"'), 'a\tb\x1b[0m');
+});
+
+// A host that answers questions from a list, recording the prompts
+function createAskingHost(answers, overrides = {}) {
+    const host = createHost(overrides);
+    host.asked = [];
+    host.ask = (question) => {
+        host.asked.push(question);
+        return Promise.resolve(answers.length ? answers.shift() : null);
+    };
+    return host;
+}
+
+test('commands ask through the host, with defaults, validation and several lines', async () => {
+    const host = createAskingHost(['', 'x', 'yes', 'one', 'two', '.']);
+    const shell = TerminalCore.createTerminal(host);
+    shell.registerCommand('survey', {
+        run: async (args, stdin, context) => {
+            const color = await context.ask('Color', { default: 'green' });
+            const sure = await context.ask('Sure', { validate: answer => (answer === 'yes' ? null : 'Say yes.') });
+            const notes = await context.ask('Notes', { multiline: true });
+            return [color, sure, notes].join('|');
+        }
+    });
+
+    assert.equal(await shell.executeCommand('survey'), 'green|yes|one\ntwo');
+    assert.deepEqual(host.asked, ['Color [green]:', 'Sure:', 'Sure:', '>', '>', '>']);
+    assert.deepEqual(host.printed, ['Say yes.', "Notes, ending with a line holding only '.':"]);
+    assert.match(await shell.executeCommand('survey'), /survey: no more input/);
+});
+
+test('questions fail without a host to ask or in the background', async () => {
+    const ask = (args, stdin, context) => context.ask('Name');
+    const quiet = TerminalCore.createTerminal(createHost());
+    quiet.registerCommand('who', { run: ask });
+    assert.match(await quiet.executeCommand('who'), /who: cannot ask for input here/);
+
+    const host = createAskingHost(['Ada']);
+    const shell = TerminalCore.createTerminal(host);
+    shell.registerCommand('who', { run: ask });
+    await shell.executeCommand('who &');
+    await TerminalCore.sleep(10);
+    assert.match(host.printed[0], /who: cannot ask for input here/);
+    assert.deepEqual(host.asked, []);
+});
+
+test('mail sends what it asked for through the host', async () => {
+    const sent = [];
+    const host = createAskingHost(['Ada', 'ada@example.com', 'Hi', 'Hello,', 'Lev', '.'], {
+        sendMail: message => {
+            sent.push(message);
+            return Promise.resolve('Message sent. Thanks!');
+        }
+    });
+    const shell = TerminalCore.createTerminal(host);
+
+    assert.equal(await shell.executeCommand('mail'), 'Message sent. Thanks!');
+    assert.deepEqual(sent, [{ name: 'Ada', email: 'ada@example.com', subject: 'Hi', body: 'Hello,\nLev' }]);
+    assert.match(await TerminalCore.createTerminal(createHost()).executeCommand('mail'), /Command not found: mail/);
+
+    assert.equal(
+        TerminalCore.mailtoUrl('lev@example.com', sent[0]),
+        'mailto:lev@example.com?subject=Hi&body=Hello%2C%0ALev%0A%0AAda%20%3Cada%40example.com%3E'
+    );
+});
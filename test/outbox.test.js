@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MailOutbox = require('../assets/js/outbox.js');
+
+// Replace fetch for one test, recording the requests
+function stubFetch(t, respond) {
+    const requests = [];
+    const original = global.fetch;
+    global.fetch = async (resource, options) => {
+        requests.push({ resource, options });
+        return respond();
+    };
+    t.after(() => {
+        global.fetch = original;
+    });
+    return requests;
+}
+
+test('post sends the message as JSON', async (t) => {
+    const requests = stubFetch(t, () => ({ ok: true, status: 204 }));
+    const message = { name: 'Ada', email: 'ada@example.com', subject: 'Hi', body: 'Hello' };
+
+    await MailOutbox.post('/api/mail', message);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].resource, '/api/mail');
+    assert.equal(requests[0].options.method, 'POST');
+    assert.equal(requests[0].options.headers['Content-Type'], 'application/json');
+    assert.deepEqual(JSON.parse(requests[0].options.body), message);
+});
+
+test('post rejects with the status of an error response', async (t) => {
+    stubFetch(t, () => ({ ok: false, status: 422 }));
+    await assert.rejects(MailOutbox.post('/api/mail', {}), err => err.status === 422 && err.message === 'HTTP 422');
+});
+
+// An in-memory IndexedDB, enough for the outbox. A transaction's requests run together
+// in one task, each success handler before the next request, as a browser runs them.
+function stubIndexedDB(t) {
+    const rows = new Map();
+    let nextId = 1;
+
+    const transaction = () => {
+        const queue = [];
+        const tx = {};
+        const op = (perform) => {
+            const request = {};
+            queue.push(() => {
+                request.result = perform();
+                if (request.onsuccess) request.onsuccess();
+            });
+            return request;
+        };
+        const store = {
+            add: (value) => op(() => {
+                const id = nextId++;
+                rows.set(id, Object.assign({}, value, { id }));
+                return id;
+            }),
+            put: (value) => op(() => {
+                rows.set(value.id, value);
+                return value.id;
+            }),
+            get: (id) => op(() => rows.get(id)),
+            getAll: () => op(() => [...rows.keys()].sort((a, b) => a - b).map(id => rows.get(id))),
+            delete: (id) => op(() => {
+                rows.delete(id);
+            })
+        };
+        tx.objectStore = () => store;
+        setTimeout(() => {
+            while (queue.length) queue.shift()();
+            tx.oncomplete();
+        });
+        return tx;
+    };
+
+    global.indexedDB = {
+        open: () => {
+            const request = { result: { createObjectStore: () => {}, transaction, close: () => {} } };
+            setTimeout(() => request.onsuccess());
+            return request;
+        }
+    };
+    t.after(() => {
+        delete global.indexedDB;
+    });
+}
+
+test('flushes running side by side send each queued message once', async (t) => {
+    stubIndexedDB(t);
+    const requests = stubFetch(t, () => ({ ok: true, status: 204 }));
+    await MailOutbox.add('/api/mail', { subject: 'one' });
+    await MailOutbox.add('/api/mail', { subject: 'two' });
+
+    const counts = await Promise.all([MailOutbox.flush(), MailOutbox.flush()]);
+    assert.equal(counts[0] + counts[1], 2);
+    assert.deepEqual(requests.map(request => JSON.parse(request.options.body).subject), ['one', 'two']);
+    assert.deepEqual(await MailOutbox.list(), []);
+});
+
+test('a message that could not be sent stays queued in its place', async (t) => {
+    stubIndexedDB(t);
+    stubFetch(t, () => {
+        throw new TypeError('Failed to fetch');
+    });
+    await MailOutbox.add('/api/mail', { subject: 'one' });
+    await MailOutbox.add('/api/mail', { subject: 'two' });
+
+    await assert.rejects(MailOutbox.flush(), TypeError);
+    assert.deepEqual((await MailOutbox.list()).map(entry => entry.message.subject), ['one', 'two']);
+});
@@ -0,0 +1,750 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Page
+
+// Load index.html and run its scripts as a browser would, with fetch served from the
+// repository and the APIs jsdom lacks (canvas, scrolling) stubbed out. setup(window)
+// runs before the scripts, to change the page or the stubs.
+async function loadPage(url = 'http://localhost/', { setup = null } = {}) {
+    let html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+    html = html.replace(/<script[\s\S]*?<\/script>/g, '');
+
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+    const window = dom.window;
+
+    window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, {
+        get: (target, name) => (name in target ? target[name] : () => ({}))
+    });
+    window.Element.prototype.scrollIntoView = () => {};
+    window.scrollTo = () => {};
+    window.fetch = async (resource) => {
+        const file = path.join(ROOT, decodeURIComponent(new URL(resource, url).pathname));
+        if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            return { ok: false, status: 404 };
+        }
+        const text = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, text: async () => text, json: async () => JSON.parse(text) };
+    };
+
+    // Skip the boot animation, as on a second visit in the same session
+    window.sessionStorage.setItem('terminal-booted', '1');
+    if (setup) setup(window);
+
+    scripts.forEach(src => window.eval(fs.readFileSync(path.join(ROOT, src), 'utf8')));
+    await waitFor(() => window.document.querySelector('.blog-entry'));
+    return window;
+}
+
+async function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('waitFor: timed out');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+function press(window, key, options = {}) {
+    const input = window.document.getElementById('terminal-input');
+    const event = new window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, options));
+    input.dispatchEvent(event);
+    return event;
+}
+
+// Type a command line, press Enter and wait for the command to finish
+async function run(window, command) {
+    window.document.getElementById('terminal-input').value = command;
+    press(window, 'Enter');
+    await waitFor(() => window.document.getElementById('terminal-input').getAttribute('aria-busy') !== 'true');
+    await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Answer the question the prompt shows
+async function answer(window, text) {
+    window.document.getElementById('terminal-input').value = text;
+    press(window, 'Enter');
+    await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// What commands printed, without the command lines echoed above it
+function output(window) {
+    return [...window.document.querySelectorAll('#output .terminal-output-line:not(.command-echo)')].map(line => line.textContent);
+}
+
+function echoes(window) {
+    return [...window.document.querySelectorAll('#output .command-echo')].map(line => line.textContent);
+}
+
+function prompt(window) {
+    return window.document.querySelector('.terminal-input-wrapper .prompt').textContent;
+}
+
+function activeSection(window) {
+    return window.document.querySelector('.terminal-section.active').id;
+}
+
+// handleTerminalInput
+
+test('Enter runs the command line and clears the input', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+
+    await run(window, 'echo hello | grep hell');
+    assert.deepEqual(echoes(window), ['~ $ echo hello | grep hell']);
+    assert.deepEqual(output(window), ['hello']);
+    assert.equal(window.document.getElementById('terminal-input').value, '');
+
+    await run(window, 'nope');
+    assert.match(output(window).pop(), /Command not found: nope/);
+});
+
+test('commands are saved to the history that the arrow keys walk', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+    const input = window.document.getElementById('terminal-input');
+
+    await run(window, 'echo one');
+    await run(window, 'echo two');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('terminal-history')), ['echo one', 'echo two']);
+
+    press(window, 'ArrowUp');
+    assert.equal(input.value, 'echo two');
+    press(window, 'ArrowUp');
+    assert.equal(input.value, 'echo one');
+    press(window, 'ArrowDown');
+    press(window, 'ArrowDown');
+    assert.equal(input.value, '');
+
+    await run(window, '!!');
+    assert.deepEqual(output(window).slice(-2), ['echo two', 'two']);
+});
+
+test('Tab completes and Ctrl+C abandons the line', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+    const input = window.document.getElementById('terminal-input');
+
+    input.value = 'cd ab';
+    input.setSelectionRange(5, 5);
+    assert.equal(press(window, 'Tab').defaultPrevented, true);
+    assert.equal(input.value, 'cd about/');
+
+    input.value = 'half typed';
+    input.setSelectionRange(10, 10);
+    press(window, 'c', { ctrlKey: true });
+    assert.equal(input.value, '');
+    assert.equal(echoes(window).pop(), '~ $ half typed^C');
+});
+
+test('Ctrl+C interrupts the command in the foreground', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+    const input = window.document.getElementById('terminal-input');
+
+    input.value = 'hack';
+    press(window, 'Enter');
+    await waitFor(() => output(window).length);
+    assert.equal(input.getAttribute('aria-busy'), 'true');
+
+    press(window, 'c', { ctrlKey: true });
+    assert.equal(input.getAttribute('aria-busy'), 'false');
+    assert.equal(output(window).pop(), '^C');
+    assert.equal(prompt(window), '~ $');
+});
+
+test('streamed output carries on below a screen cleared by Ctrl+L', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+    const input = window.document.getElementById('terminal-input');
+
+    input.value = 'hack';
+    press(window, 'Enter');
+    await waitFor(() => output(window).length);
+    press(window, 'l', { ctrlKey: true });
+    await waitFor(() => !output(window).length);
+
+    await waitFor(() => output(window).length);
+    assert.equal(input.getAttribute('aria-busy'), 'true');
+    press(window, 'c', { ctrlKey: true });
+});
+
+// Asking
+
+// A page that posts mail to /api/mail, recording what is sent
+function loadMailPage(posted) {
+    return loadPage('http://localhost/', {
+        setup: (window) => {
+            window.document.querySelector('meta[name="mail-endpoint"]').content = '/api/mail';
+            const fetch = window.fetch;
+            window.fetch = async (resource, options = {}) => {
+                if (options.method !== 'POST') return fetch(resource, options);
+                posted.push({ resource, body: JSON.parse(options.body) });
+                return { ok: true, status: 200 };
+            };
+        }
+    });
+}
+
+test('mail asks for each part in the prompt and posts the message', async (t) => {
+    const posted = [];
+    const window = await loadMailPage(posted);
+    t.after(() => window.close());
+
+    window.document.getElementById('terminal-input').value = 'mail';
+    press(window, 'Enter');
+    await waitFor(() => prompt(window) === 'Name:');
+    await answer(window, 'Ada');
+    assert.equal(prompt(window), 'Email:');
+    await answer(window, 'ada at example');
+    assert.equal(output(window).pop(), "'ada at example' doesn't look like an email address.");
+    await answer(window, 'ada@example.com');
+    assert.equal(prompt(window), 'Subject [Hello from the terminal]:');
+    await answer(window, '');
+    await answer(window, 'Hi!');
+    await answer(window, 'Bye.');
+    await answer(window, '.');
+    await waitFor(() => prompt(window) === '~ $');
+
+    assert.deepEqual(posted, [{
+        resource: '/api/mail',
+        body: { name: 'Ada', email: 'ada@example.com', subject: 'Hello from the terminal', body: 'Hi!\nBye.' }
+    }]);
+    assert.equal(output(window).pop(), 'Message sent. Thanks!');
+    assert.deepEqual(echoes(window).slice(-3), ['> Hi!', '> Bye.', '> .']);
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('terminal-history')), ['mail']);
+});
+
+test('Ctrl+C abandons the questions', async (t) => {
+    const posted = [];
+    const window = await loadMailPage(posted);
+    t.after(() => window.close());
+
+    window.document.getElementById('terminal-input').value = 'mail';
+    press(window, 'Enter');
+    await waitFor(() => prompt(window) === 'Name:');
+    window.document.getElementById('terminal-input').value = 'Ad';
+    press(window, 'c', { ctrlKey: true });
+
+    assert.equal(prompt(window), '~ $');
+    assert.equal(window.document.getElementById('terminal-input').value, '');
+    await run(window, 'echo ok');
+    assert.equal(output(window).pop(), 'ok');
+    assert.deepEqual(posted, []);
+});
+
+test('mail says it is not configured unless the page says where mail goes', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+
+    await run(window, 'help');
+    assert.doesNotMatch(output(window).pop(), /^\s+mail\s/m);
+    await run(window, 'mail');
+    assert.match(output(window).pop(), /^mail: not configured; the site sets <meta name="mail-to">/);
+    assert.notEqual(prompt(window), 'Name:');
+});
+
+test('queued mail is sent by the page when no Background Sync could be registered', async (t) => {
+    const posted = [];
+    const window = await loadMailPage(posted);
+    t.after(() => window.close());
+    const queued = [];
+    window.MailOutbox.add = async (endpoint, message) => queued.push({ endpoint, message });
+    window.MailOutbox.flush = async () => queued.splice(0).length;
+    Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => false });
+
+    window.document.getElementById('terminal-input').value = 'mail';
+    press(window, 'Enter');
+    await waitFor(() => prompt(window) === 'Name:');
+    for (const line of ['Ada', 'ada@example.com', '', 'Hi', '.']) {
+        await answer(window, line);
+    }
+    await waitFor(() => prompt(window) === '~ $');
+    assert.match(output(window).pop(), /message is queued/);
+    assert.equal(queued.length, 1);
+
+    window.dispatchEvent(new window.Event('online'));
+    await waitFor(() => output(window).pop() === 'mail: sent 1 queued message');
+    assert.equal(queued.length, 0);
+});
+
+test('queued mail is left to a Background Sync still pending from an earlier page', async (t) => {
+    const window = await loadPage('http://localhost/', {
+        setup: (window) => {
+            window.document.querySelector('meta[name="mail-endpoint"]').content = '/api/mail';
+            const registration = { sync: { getTags: async () => ['mail-outbox'], register: async () => {} } };
+            window.navigator.serviceWorker = {
+                controller: null,
+                addEventListener: () => {},
+                register: async () => registration
+            };
+        }
+    });
+    t.after(() => window.close());
+    let flushes = 0;
+    window.MailOutbox.flush = async () => {
+        flushes++;
+        return 0;
+    };
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    window.dispatchEvent(new window.Event('online'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(flushes, 0);
+});
+
+test('Emacs keys move the cursor and delete in the line', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+    const input = window.document.getElementById('terminal-input');
+
+    input.value = 'echo one  two';
+    input.setSelectionRange(13, 13);
+    press(window, 'b', { altKey: true, code: 'KeyB' });
+    assert.equal(input.selectionStart, 10);
+    press(window, '∫', { altKey: true, code: 'KeyB' });
+    assert.equal(input.selectionStart, 5);
+    press(window, 'f', { altKey: true, code: 'KeyF' });
+    assert.equal(input.selectionStart, 8);
+
+    press(window, 'a', { ctrlKey: true });
+    assert.equal(input.selectionStart, 0);
+    press(window, 'e', { ctrlKey: true });
+    assert.equal(input.selectionStart, 13);
+
+    press(window, 'w', { ctrlKey: true });
+    assert.equal(input.value, 'echo one  ');
+    input.value = 'echo one two';
+    input.setSelectionRange(8, 8);
+    press(window, 'k', { ctrlKey: true });
+    assert.equal(input.value, 'echo one');
+    input.setSelectionRange(5, 5);
+    assert.equal(press(window, 'u', { ctrlKey: true }).defaultPrevented, true);
+    assert.equal(input.value, 'one');
+    assert.equal(input.selectionStart, 0);
+});
+
+test('section shortcuts work only while nothing is being typed', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+    const document = window.document;
+
+    assert.equal(press(window, '3').defaultPrevented, false);
+    assert.equal(activeSection(window), 'home');
+
+    document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: '3', bubbles: true, cancelable: true }));
+    assert.equal(activeSection(window), 'projects');
+
+    // In the input, Escape clears the line rather than leaving the section
+    document.getElementById('terminal-input').value = 'half typed';
+    press(window, 'Escape');
+    assert.equal(document.getElementById('terminal-input').value, '');
+    assert.equal(activeSection(window), 'projects');
+
+    document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+    assert.equal(activeSection(window), 'home');
+});
+
+test('bind adds remembered key bindings that keys lists', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+
+    await run(window, 'bind ctrl+g "cd blog"');
+    assert.deepEqual(output(window), ['ctrl+g runs: cd blog']);
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('terminal-keys')), { 'ctrl+g': 'cd blog' });
+
+    await run(window, 'bind g pwd');
+    assert.match(output(window).pop(), /a binding needs ctrl, alt or meta/);
+    await run(window, 'keys user');
+    assert.match(output(window).pop(), /ctrl\+g\s+cd blog/);
+    await run(window, 'keys global | head -3');
+    assert.equal(output(window).pop(), 'Global (nothing else focused):\n  1       Show the home section\n  2       Show the about section');
+
+    press(window, 'g', { ctrlKey: true });
+    await waitFor(() => activeSection(window) === 'blog');
+    assert.equal(prompt(window).startsWith('~/blog'), true);
+
+    await run(window, 'bind -r ctrl+g');
+    assert.equal(window.localStorage.getItem('terminal-keys'), '{}');
+});
+
+// Output rendering
+
+test('ANSI color codes become spans styled by the theme', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+
+    await run(window, 'echo -e "plain \\e[1;31mbold red\\e[0m \\e[7minverse\\e[0m \\e[38;2;1;2;3mrgb"');
+    const line = window.document.querySelector('#output .terminal-output-line:last-child');
+    assert.equal(line.textContent, 'plain bold red inverse rgb');
+    assert.deepEqual([...line.querySelectorAll('span')].map(span => [span.className, span.textContent]), [
+        ['ansi-bold ansi-fg-red', 'bold red'],
+        ['ansi-fg-black ansi-bg-white', 'inverse'],
+        ['', 'rgb']
+    ]);
+    assert.equal(line.querySelector('span:last-child').style.color, 'rgb(1, 2, 3)');
+
+    // Piped output is left plain for the next command
+    await run(window, 'ls | cat');
+    assert.equal(output(window).pop(), 'about/  projects/  blog/  contact/');
+    assert.equal(window.document.querySelector('#output .terminal-output-line:last-child span'), null);
+});
+
+test('addresses and directories in output are links, and markup stays text', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+    const last = () => window.document.querySelector('#output .terminal-output-line:last-child');
+
+    await run(window, 'contact');
+    assert.deepEqual([...last().querySelectorAll('a')].map(link => [link.getAttribute('href'), link.target]), [
+        ['https://github.com/kozhokaru', '_blank'],
+        ['https://linkedin.com/in/levkoz', '_blank']
+    ]);
+
+    await run(window, 'ls');
+    const links = [...last().querySelectorAll('a')];
+    assert.deepEqual(links.map(link => link.getAttribute('href')), ['#/about', '#/projects', '#/blog', '#/contact']);
+    links[2].click();
+    assert.equal(activeSection(window), 'blog');
+    assert.equal(prompt(window), '~/blog $');
+
+    await run(window, 'echo "<img src=x onerror=alert(1)> see https://example.com/a."');
+    assert.equal(last().querySelector('img'), null);
+    assert.equal(last().textContent, '<img src=x onerror=alert(1)> see https://example.com/a.');
+    assert.equal(last().querySelector('a').getAttribute('href'), 'https://example.com/a');
+});
+
+// Session recording and replay
+
+const DEMO_CAST = [
+    { version: 2, width: 80, height: 24, idle_time_limit: 30 },
+    [0.05, 'o', '~ $ echo one\r\n'],
+    [0.1, 'o', '\x1b[32mone\x1b[0m\r\n'],
+    [60, 'o', 'three\r\n']
+].map(line => JSON.stringify(line)).join('\n');
+
+// A page serving DEMO_CAST as /demo.cast
+function loadReplayPage(url = 'http://localhost/') {
+    return loadPage(url, {
+        setup: (window) => {
+            const fetch = window.fetch;
+            window.fetch = async (resource) => {
+                if (new URL(resource, url).pathname !== '/demo.cast') return fetch(resource);
+                return { ok: true, status: 200, text: async () => DEMO_CAST };
+            };
+        }
+    });
+}
+
+function screen(window) {
+    const element = window.document.querySelector('.cast-screen');
+    return element ? element.textContent : null;
+}
+
+// A page whose file downloads are kept in downloads as { blob, name }
+function loadRecordingPage(downloads) {
+    return loadPage('http://localhost/', {
+        setup: (window) => {
+            window.URL.createObjectURL = (blob) => {
+                downloads.push({ blob });
+                return 'blob:cast';
+            };
+            window.URL.revokeObjectURL = () => {};
+            window.document.addEventListener('click', (e) => {
+                if (e.target.download) {
+                    downloads[downloads.length - 1].name = e.target.download;
+                    e.preventDefault();
+                }
+            });
+        }
+    });
+}
+
+// The header and events of a downloaded cast
+function readCast(window, download) {
+    return new Promise(resolve => {
+        const reader = new window.FileReader();
+        reader.onload = () => {
+            const [header, ...events] = reader.result.trim().split('\n').map(line => JSON.parse(line));
+            resolve({ header, events });
+        };
+        reader.readAsText(download.blob);
+    });
+}
+
+test('script records the session and saves it as a cast file', async (t) => {
+    const downloads = [];
+    const window = await loadRecordingPage(downloads);
+    t.after(() => window.close());
+
+    await run(window, 'script start');
+    await run(window, 'echo -e "a\\nb" | grep b');
+    await run(window, 'script stop');
+    assert.match(output(window).pop(), /^Script done\. Saved terminal-[\d-]+T[\d-]+\.cast \(0:00, 6 events\)/);
+
+    assert.equal(downloads.length, 1);
+    assert.match(downloads[0].name, /^terminal-.*\.cast$/);
+    assert.equal(downloads[0].blob.type, 'application/x-asciicast');
+    const { header, events } = await readCast(window, downloads[0]);
+    assert.equal(header.version, 2);
+    assert.equal(header.width, 80);
+    assert.deepEqual(events.map(([, type, data]) => [type, data]), [
+        ['o', "Script started. Type 'script stop' to save the recording.\r\n"],
+        ['i', 'echo -e "a\\nb" | grep b\r'],
+        ['o', '~ $ echo -e "a\\nb" | grep b\r\n'],
+        ['o', '\x1b[1;31mb\x1b[0m\r\n'],
+        ['i', 'script stop\r'],
+        ['o', '~ $ script stop\r\n']
+    ]);
+    assert.ok(events.every(([time], i) => time >= (i ? events[i - 1][0] : 0)));
+});
+
+test('script leaves out lines typed ahead while a command runs', async (t) => {
+    const downloads = [];
+    const window = await loadRecordingPage(downloads);
+    t.after(() => window.close());
+    const input = window.document.getElementById('terminal-input');
+
+    await run(window, 'script start');
+    input.value = 'hack';
+    press(window, 'Enter');
+    await waitFor(() => input.getAttribute('aria-busy') === 'true');
+    input.value = 'typed ahead';
+    press(window, 'Enter');
+    assert.equal(input.value, 'typed ahead');
+    press(window, 'c', { ctrlKey: true });
+    input.value = '';
+    await run(window, 'script stop');
+
+    const { events } = await readCast(window, downloads[0]);
+    assert.deepEqual(events.filter(([, type]) => type === 'i').map(([, , data]) => data), ['hack\r', 'script stop\r']);
+});
+
+test('top and the pager started in the background print text and leave the keys alone', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+
+    await run(window, 'top &');
+    await waitFor(() => output(window).some(line => /\[1\]\+\s+Done\s+top/.test(line)));
+    assert.ok(output(window).some(line => /JS heap/.test(line)));
+    await run(window, 'blog read readable-code &');
+    await waitFor(() => output(window).some(line => /Code is read far more often/.test(line)));
+
+    await run(window, 'echo still typing');
+    assert.equal(output(window).pop(), 'still typing');
+});
+
+test('replay plays a cast with pause, seek and speed controls', async (t) => {
+    const window = await loadReplayPage();
+    t.after(() => window.close());
+    const input = window.document.getElementById('terminal-input');
+
+    input.value = 'replay demo.cast';
+    press(window, 'Enter');
+    await waitFor(() => screen(window) === '~ $ echo one\none');
+    assert.equal(window.document.querySelector('.cast-screen .ansi-fg-green').textContent, 'one');
+    assert.equal(input.getAttribute('aria-busy'), 'true');
+
+    press(window, ' ');
+    assert.equal(window.document.querySelector('.cast-play').getAttribute('aria-label'), 'Play');
+    press(window, '+');
+    assert.equal(window.document.querySelector('.cast-speed').textContent, '2x');
+
+    // The minute-long pause is cut to the cast's idle_time_limit of 30 seconds
+    const seek = window.document.querySelector('.cast-seek');
+    assert.equal(seek.max, '30.1');
+    seek.value = '30.1';
+    seek.dispatchEvent(new window.Event('input'));
+    assert.equal(screen(window), '~ $ echo one\none\nthree');
+    assert.equal(window.document.querySelector('.cast-time').textContent, '0:30 / 0:30');
+
+    press(window, 'ArrowLeft');
+    assert.equal(screen(window), '~ $ echo one\none');
+    press(window, 'q');
+    await waitFor(() => input.getAttribute('aria-busy') === 'false');
+    assert.equal(window.document.querySelector('.cast-controls'), null);
+});
+
+test('replay plays the last recording and reports what it cannot play', async (t) => {
+    const window = await loadReplayPage();
+    t.after(() => window.close());
+    window.URL.createObjectURL = () => 'blob:cast';
+    window.URL.revokeObjectURL = () => {};
+    window.document.addEventListener('click', e => e.preventDefault());
+
+    await run(window, 'replay');
+    assert.match(output(window).pop(), /replay: nothing recorded yet/);
+    await run(window, 'replay missing.cast');
+    assert.equal(output(window).pop(), 'replay: missing.cast: HTTP 404');
+    await run(window, 'replay --speed 0 demo.cast');
+    assert.equal(output(window).pop(), "replay: invalid speed '0'");
+    await run(window, 'replay demo.cast | grep t');
+    assert.equal(output(window).pop(), 'three');
+
+    await run(window, 'script start');
+    await run(window, 'echo recorded');
+    await run(window, 'script stop');
+    await run(window, 'replay --speed 8');
+    assert.equal(screen(window), "Script started. Type 'script stop' to save the recording.\n~ $ echo recorded\nrecorded\n~ $ script stop");
+});
+
+test('a #/replay link plays the cast when the page opens', async (t) => {
+    const window = await loadReplayPage('http://localhost/#/replay?src=demo.cast&speed=4');
+    t.after(() => window.close());
+
+    assert.equal(window.location.hash, '#/replay?src=demo.cast&speed=4');
+    assert.equal(activeSection(window), 'home');
+    assert.deepEqual(echoes(window), ['~ $ replay --speed 4 demo.cast']);
+    await waitFor(() => screen(window) === '~ $ echo one\none');
+    assert.equal(window.document.querySelector('.cast-speed').textContent, '4x');
+
+    press(window, 'c', { ctrlKey: true });
+    assert.equal(prompt(window), '~ $');
+    assert.equal(window.document.querySelector('.cast-controls'), null);
+});
+
+// Themes
+
+test('saved matrix settings that break the rules are dropped', async (t) => {
+    const window = await loadPage('http://localhost/', {
+        setup: (window) => {
+            window.localStorage.setItem('terminal-matrix', JSON.stringify({ enabled: 'yes', speed: 0, density: 0.25, charset: 'runes' }));
+        }
+    });
+    t.after(() => window.close());
+
+    await run(window, 'matrix density 0.5');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('terminal-matrix')), {
+        enabled: true, speed: 1, density: 0.5, charset: 'binary', custom: ''
+    });
+});
+
+test('theme set updates the glow channels for any color syntax', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+    const root = window.document.documentElement.style;
+
+    await run(window, 'theme set --text-primary magenta --accent-cyan "hsl(180, 100%, 25%)"');
+    assert.equal(root.getPropertyValue('--text-primary-rgb'), '255, 0, 255');
+    assert.equal(root.getPropertyValue('--accent-cyan-rgb'), '0, 128, 128');
+
+    await run(window, 'theme set --text-primary nonsense');
+    assert.match(output(window).pop(), /theme set: --text-primary: /);
+    assert.equal(root.getPropertyValue('--text-primary-rgb'), '255, 0, 255');
+});
+
+// navigateToSection
+
+test('nav links show their section and move the working directory', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+
+    window.document.querySelector('.nav-link[href="#/about"]').click();
+    assert.equal(activeSection(window), 'about');
+    assert.equal(window.location.hash, '#/about');
+    assert.equal(prompt(window), '~/about $');
+
+    await run(window, 'pwd');
+    assert.deepEqual(output(window), ['/about']);
+});
+
+test('cd navigates to the section of the directory', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+
+    await run(window, 'cd projects');
+    assert.equal(activeSection(window), 'projects');
+    assert.equal(window.location.hash, '#/projects');
+    assert.equal(window.document.querySelector('.nav-link.active').getAttribute('href'), '#/projects');
+    assert.deepEqual(output(window), ['Navigating to projects...']);
+
+    await run(window, 'cd ..');
+    assert.equal(activeSection(window), 'home');
+    assert.equal(prompt(window), '~ $');
+});
+
+test('the URL hash picks the section on load', async (t) => {
+    const window = await loadPage('http://localhost/#/contact');
+    t.after(() => window.close());
+
+    assert.equal(activeSection(window), 'contact');
+    assert.equal(prompt(window), '~/contact $');
+});
+
+test('exit shuts down and boots again, a key skipping each log', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+    const document = window.document;
+    const key = () => document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'x', bubbles: true, cancelable: true }));
+
+    document.getElementById('terminal-input').value = 'exit';
+    press(window, 'Enter');
+    await waitFor(() => document.querySelector('.boot-screen'));
+    key();
+    await waitFor(() => document.querySelector('.boot-screen.halted'));
+    assert.match(document.querySelector('.boot-screen').textContent, /press any key to boot/);
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    key();
+    await waitFor(() => document.querySelector('.boot-screen:not(.halted)'));
+    key();
+    await waitFor(() => !document.querySelector('.boot-screen'));
+    await waitFor(() => document.getElementById('terminal-input').getAttribute('aria-busy') === 'false');
+});
+
+// toggleBlogPost
+
+test('toggleBlogPost expands a post in place and collapses it again', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+    const entry = window.document.querySelector('[data-post="readable-code"]');
+
+    await window.toggleBlogPost('readable-code');
+    assert.equal(entry.classList.contains('expanded'), true);
+    assert.match(entry.querySelector('.blog-post-content').textContent, /Code is read far more often than it's written/);
+    assert.equal(entry.querySelector('.blog-excerpt').style.display, 'none');
+    assert.equal(activeSection(window), 'blog');
+    assert.equal(window.location.hash, '#/blog/readable-code');
+
+    await window.toggleBlogPost('readable-code');
+    assert.equal(entry.classList.contains('expanded'), false);
+    assert.equal(entry.querySelector('.blog-content').innerHTML, '');
+    assert.equal(window.location.hash, '#/blog');
+});
+
+test('toggleBlogPost ignores unknown posts', async (t) => {
+    const window = await loadPage();
+    t.after(() => window.close());
+
+    await window.toggleBlogPost('no-such-post');
+    assert.equal(window.document.querySelectorAll('.blog-entry.expanded').length, 0);
+    assert.equal(activeSection(window), 'home');
+});
+
+test('a link to a post opens it once the posts have loaded', async (t) => {
+    const window = await loadPage('http://localhost/#/blog/performant-web');
+    t.after(() => window.close());
+
+    await waitFor(() => window.document.querySelector('.blog-entry.expanded .blog-post-content'));
+    assert.deepEqual([...window.document.querySelectorAll('.blog-entry.expanded')].map(entry => entry.dataset.post), ['performant-web']);
+    assert.equal(activeSection(window), 'blog');
+});
+
+test('a link to a post id that cannot be a selector still sets up the page', async (t) => {
+    const window = await loadPage('http://localhost/#/blog/%22x');
+    t.after(() => window.close());
+
+    assert.equal(activeSection(window), 'blog');
+    assert.equal(window.document.querySelectorAll('.blog-entry.expanded').length, 0);
+    await run(window, 'cd home');
+    assert.equal(activeSection(window), 'home');
+});